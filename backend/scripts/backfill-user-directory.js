@@ -0,0 +1,30 @@
+// Fills in the directory search keys (nameKey, nameTerms) for users saved before the
+// directory existed. New and updated users get them from the User model's hooks.
+//
+//   npm run backfill:directory
+
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import { User, directoryKeys } from "../src/models/User.js";
+
+const BATCH = 500;
+
+await connectDB();
+
+let updated = 0;
+let batch = [];
+const flush = async () => {
+  if (!batch.length) return;
+  await User.bulkWrite(batch);
+  updated += batch.length;
+  batch = [];
+};
+
+for await (const user of User.find({ nameKey: { $exists: false } }).select("name").cursor()) {
+  batch.push({ updateOne: { filter: { _id: user._id }, update: { $set: directoryKeys(user.name) } } });
+  if (batch.length >= BATCH) await flush();
+}
+await flush();
+
+console.log(`Added directory keys to ${updated} users`);
+await mongoose.disconnect();
@@ -0,0 +1,9 @@
+// Downloads the mongod binary that offline dev's in-memory MongoDB runs on, so
+// `npm run dev:offline` starts without network afterwards. Safe to run again.
+//
+//   npm run setup:offline
+
+import { MongoBinary } from "mongodb-memory-server";
+
+const binary = await MongoBinary.getPath();
+console.log(`mongod is ready at ${binary}`);
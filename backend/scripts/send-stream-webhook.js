@@ -0,0 +1,57 @@
+// Replays recorded Stream webhook payloads against a running backend, signed the way Stream
+// signs them, so the /api/stream/webhook receiver can be exercised without a Stream app.
+//
+//   npm run webhook:stream -- message.new
+//   npm run webhook:stream -- all --url http://localhost:5001/api/stream/webhook
+//   npm run webhook:stream -- member.added --bad-signature   (expects a 401)
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ENV } from "../src/config/env.js";
+
+const PAYLOAD_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "stream-webhook-payloads");
+
+const signStreamWebhook = (body, secret) =>
+  crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+const args = process.argv.slice(2);
+const target = args.find((arg) => !arg.startsWith("--")) || "all";
+const urlIndex = args.indexOf("--url");
+const url =
+  urlIndex !== -1 ? args[urlIndex + 1] : `http://localhost:${ENV.PORT}/api/stream/webhook`;
+const badSignature = args.includes("--bad-signature");
+
+if (!ENV.STREAM_API_SECRET) {
+  console.error("STREAM_API_SECRET is not set");
+  process.exit(1);
+}
+
+const files = fs
+  .readdirSync(PAYLOAD_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .filter((file) => target === "all" || file === `${target}.json`);
+
+if (!files.length) {
+  console.error(`No recorded payload named ${target}.json in ${PAYLOAD_DIR}`);
+  process.exit(1);
+}
+
+for (const file of files) {
+  const body = fs.readFileSync(path.join(PAYLOAD_DIR, file), "utf8");
+  const signature = signStreamWebhook(body, badSignature ? "wrong-secret" : ENV.STREAM_API_SECRET);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Signature": signature,
+      "X-Webhook-Id": crypto.randomUUID(),
+      "X-Api-Key": ENV.STREAM_API_KEY || "",
+    },
+    body,
+  });
+
+  console.log(`${file}: ${response.status} ${await response.text()}`);
+}
@@ -0,0 +1,75 @@
+// The Express app: middleware and routes. server.js starts it; tests import it directly so they
+// don't open a port or need the startup checks
+import express from 'express';
+import { ENV } from './config/env.js';
+import {clerkMiddleware} from '@clerk/express';
+import {protectRoute,requireRole} from './middlewares/auth.middleware.js';
+import {rateLimit} from './middlewares/rateLimit.middleware.js';
+import {devAuth} from './middlewares/devAuth.middleware.js';
+import {identifyRequestUser,requestContext} from './middlewares/requestContext.middleware.js';
+import { serve } from "inngest/express";
+import { functions,inngest } from './config/inngest.js';
+import chatRoutes from './routes/chat.route.js';
+import interviewRoutes from './routes/interview.route.js';
+import scorecardRoutes from './routes/scorecard.route.js';
+import adminRoutes from './routes/admin.route.js';
+import channelRoutes from './routes/channel.route.js';
+import streamRoutes from './routes/stream.route.js';
+import searchRoutes from './routes/search.route.js';
+import callRoutes from './routes/call.route.js';
+import inviteRoutes from './routes/invite.route.js';
+import guestRoutes from './routes/guest.route.js';
+import calendarRoutes from './routes/calendar.route.js';
+import availabilityRoutes from './routes/availability.route.js';
+import auditRoutes from './routes/audit.route.js';
+import userRoutes from './routes/user.route.js';
+import devRoutes from './routes/dev.route.js';
+import healthRoutes from './routes/health.route.js';
+import * as Sentry from "@sentry/node";
+import cors from 'cors';
+const app = express();
+// Vercel's proxy sits in front of the app, so the client IP comes from X-Forwarded-For
+app.set("trust proxy",1);
+
+app.use(requestContext); // request id for logs and Sentry, first so everything below has one
+app.use(healthRoutes); // /health and /ready, kept out of auth and rate limiting
+app.use("/api/stream",streamRoutes); // before express.json, the webhook verifies the raw body
+app.use(express.json()); // allow parsing JSON request bodies
+app.use(cors({origin:ENV.CLIENT_URL,credentials:true})); // enable CORS for all origins
+// offline dev trusts the X-Dev-User-Id header instead of Clerk sessions
+app.use(ENV.DEV_OFFLINE ? devAuth : clerkMiddleware());
+app.use(identifyRequestUser);
+app.get('/',(req,res)=>{
+  res.send('Hello World!');
+})
+// debug routes don't exist in production, and elsewhere only admins can use them
+if(ENV.NODE_ENV!=="production"){
+  app.get('/debug-sentry',protectRoute,requireRole("admin"),(req,res)=>{
+    throw new Error("Sentry is working!");
+  });
+}
+// Set up the "/api/inngest" (recommended) routes with the serve handler;
+// offline, /api/dev runs the same functions in-process instead
+if(ENV.DEV_OFFLINE){
+  app.use("/api/dev",devRoutes);
+}else{
+  app.use("/api/inngest", serve({ client: inngest, functions }));
+}
+// after Inngest, which signs its own requests and calls in often; routes add tighter budgets on top
+app.use("/api",rateLimit("default"));
+app.use("/api/chat",chatRoutes);
+app.use("/api/interviews",interviewRoutes);
+app.use("/api/scorecards",scorecardRoutes);
+app.use("/api/channels",channelRoutes);
+app.use("/api/search",searchRoutes);
+app.use("/api/calls",callRoutes);
+app.use("/api/invites",inviteRoutes);
+app.use("/api/guest",guestRoutes);
+app.use("/api/calendar",calendarRoutes);
+app.use("/api/availability",availabilityRoutes);
+app.use("/api/users",userRoutes);
+app.use("/api/audit",auditRoutes);
+app.use("/api/admin",adminRoutes);
+Sentry.setupExpressErrorHandler(app);
+
+export default app;
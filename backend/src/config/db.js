@@ -1,15 +1,57 @@
 import mongoose from 'mongoose';
 import { ENV } from './env.js';
+import { createLogger } from '../lib/logger.js';
+
+const log=createLogger({module:"db"});
+
+// a promise, so concurrent connectDB calls (every Inngest step makes one) share one server
+let memoryServer=null;
+
+// the in-memory MongoDB runs a real mongod binary, which `npm run setup:offline` downloads once.
+// Without it, say so here rather than let mongodb-memory-server try a download mid-startup
+const startMemoryServer=async()=>{
+  const {DryMongoBinary,MongoMemoryServer}=await import('mongodb-memory-server');
+  const binary=await DryMongoBinary.locateBinary(DryMongoBinary.getEnsuredOptions());
+  if(!binary){
+    throw new Error(
+      "No mongod binary for the in-memory MongoDB: run `npm run setup:offline` once while online, or set MONGO_URI"
+    );
+  }
+  return MongoMemoryServer.create();
+}
+
+// offline dev without a MONGO_URI gets a throwaway in-memory MongoDB
+const resolveMongoUri=async()=>{
+  if(ENV.MONGO_URI || !ENV.DEV_OFFLINE) return ENV.MONGO_URI;
+  // a failed start isn't kept, so the next connectDB tries again
+  memoryServer ??= startMemoryServer().catch((error)=>{
+    memoryServer=null;
+    throw error;
+  });
+  return (await memoryServer).getUri();
+}
 
 export const connectDB = async () => {
   try{
-     const conn= await mongoose.connect(ENV.MONGO_URI)
-     console.log(`MongoDB Connected SuccessFullly : ${conn.connection.host}`);
+     const conn= await mongoose.connect(await resolveMongoUri())
+     log.info("MongoDB connected",{host:conn.connection.host});
 
   }catch(error
   ){
-    console.error('Error connecting to MongoDB:', error);
-    process.exit(1);
+    log.error("Error connecting to MongoDB",{error});
+    // callers decide: startServer stops the process, an Inngest step is retried
+    throw error;
+
+  }
+}
 
+// for scripts and tests that should exit once done: closes the connection and stops the
+// in-memory server if one was started
+export const disconnectDB=async()=>{
+  await mongoose.disconnect();
+  if(memoryServer){
+    const server=await memoryServer;
+    memoryServer=null;
+    await server.stop();
   }
-}
\ No newline at end of file
+}
@@ -1,57 +1,468 @@
-import { Inngest } from "inngest";
+import { Inngest, NonRetriableError } from "inngest";
 import { connectDB } from "./db.js";
-import { User } from "../models/User.js";
+import { ROLES, User } from "../models/User.js";
 import mongoose from "mongoose";
-import { deleteStreamUser, upsertStreamUser , addUserToPublicChannels } from "./stream.js";
+import {
+  deleteStreamUser,
+  upsertStreamUser,
+  addUserToPublicChannels,
+  addChannelMembers,
+  findMissingChannelMembers,
+  getStreamUsersByIds,
+  listPublicChannelIds,
+  listStreamUsersCreatedAfter,
+  ensureSystemBot,
+  sendChannelMessage,
+  sendDirectMessage,
+} from "./stream.js";
+import { ReconciliationRun } from "../models/ReconciliationRun.js";
+import { GuestInvite } from "../models/GuestInvite.js";
+import { Interview } from "../models/Interview.js";
+import { ENV } from "./env.js";
+import { recordAudit } from "../lib/audit.js";
+import { toStreamUser } from "../lib/profile.js";
+import { createLocalRunner } from "../lib/inngestLocal.js";
+import { createLogger } from "../lib/logger.js";
 
 // Create a client to send and receive events
 export const inngest = new Inngest({ id: "slack-clone" });
 
-const syncUser=inngest.createFunction(
-  {id:"sync-user"},
-  {event: "clerk/user.created"},
-  async ({event})=>{
-     await connectDB();
+const log=createLogger({module:"inngest"});
+
+// every function's options, triggers and handler, so offline dev can run them in-process
+const definitions=[];
+const defineFunction=(opts,trigger,handler)=>{
+  definitions.push({opts,triggers:[].concat(trigger),handler});
+  return inngest.createFunction(opts,trigger,handler);
+}
+
+// roles are managed in Clerk as publicMetadata.role; anything unknown is a candidate
+const roleFromMetadata=(metadata)=>
+  ROLES.includes(metadata?.role) ? metadata.role : "candidate";
+
+// map a Clerk user payload to the fields we keep on User
+const profileFromClerk=(data)=>{
+  const {id,email_addresses,primary_email_address_id,first_name,last_name,image_url,public_metadata,updated_at}=data;
+  const primaryEmail=email_addresses.find((e)=>e.id===primary_email_address_id) || email_addresses[0];
+
+  return {
+    clerkId:id,
+    email: primaryEmail?.email_address,
+    name: `${first_name || ""} ${last_name || ""}`,
+    image: image_url||"",
+    role: roleFromMetadata(public_metadata),
+    clerkUpdatedAt: new Date(updated_at),
+  }
+}
+
+// record on the User why provisioning gave up after all its retries
+const markProvisioningFailed=async({event,error})=>{
+  await connectDB();
+  const {data}=event.data.event;
+  await User.updateOne(
+    {clerkId:data.clerkId || data.id},
+    {$set:{"provisioning.status":"failed","provisioning.error":error.message,"provisioning.failedAt":new Date()}}
+  );
+}
 
-     const {id,email_addresses,first_name,last_name,image_url}=event.data;
-     
-     const newUser={
-        clerkId:id,
-        email: email_addresses[0]?.email_address,
-        name: `${first_name || ""} ${last_name || ""}`,
-        image: image_url||"",
-     }
-     await User.create(newUser)
-    
+// each stage is its own step so Inngest only retries the stage that failed;
+// every stage is safe to run more than once
+const runProvisioningSteps=async(step,clerkId)=>{
+  await step.run("upsert-stream-user",async()=>{
+    await connectDB();
+    const user=await User.findOne({clerkId});
+    if(!user) throw new NonRetriableError(`User ${clerkId} no longer exists`);
 
-     await upsertStreamUser({
-      id: newUser.clerkId.toString(),
-      name: newUser.name,
-      image: newUser.image,
+    await upsertStreamUser(toStreamUser(user));
+  });
 
-     })
+  await step.run("add-to-public-channels",()=>addUserToPublicChannels(clerkId.toString()));
 
-     await addUserToPublicChannels(newUser.clerkId.toString());
+  await step.run("mark-provisioned",async()=>{
+    await connectDB();
+    await User.updateOne(
+      {clerkId},
+      {$set:{"provisioning.status":"completed","provisioning.completedAt":new Date()},$unset:{"provisioning.error":""}}
+    );
+  });
+}
 
+const syncUser=defineFunction(
+  {id:"sync-user",onFailure:markProvisioningFailed},
+  {event: "clerk/user.created"},
+  async ({event,step})=>{
+     const newUser=profileFromClerk(event.data);
 
+     // upsert instead of create so a redelivered event doesn't hit the unique index;
+     // an existing document may already hold newer data from clerk/user.updated
+     await step.run("save-user",async()=>{
+       await connectDB();
+       await User.updateOne(
+         {clerkId:newUser.clerkId},
+         {$setOnInsert:newUser,$set:{"provisioning.status":"pending"}},
+         {upsert:true}
+       );
+     });
+
+     await runProvisioningSteps(step,newUser.clerkId);
   }
 )
 
-const deleteUserFromDB=inngest.createFunction(
+// re-runs provisioning for a user already in Mongo, triggered from the admin API
+const reprovisionUser=defineFunction(
+  {id:"reprovision-user",onFailure:markProvisioningFailed},
+  {event: "app/user.provision.requested"},
+  async ({event,step})=>{
+    await runProvisioningSteps(step,event.data.clerkId);
+  }
+)
+
+const deleteUserFromDB=defineFunction(
   {id:"delete-user-from-db"},
   {event: "clerk/user.deleted"},
-  async ({event})=>{
-      await connectDB();
+  async ({event,step})=>{
     const {id}=event.data;
-    await User.deleteOne({clerkId:id});
-   
 
-    await deleteStreamUser(id.toString());
+    await step.run("delete-mongo-user",async()=>{
+      await connectDB();
+      await User.deleteOne({clerkId:id});
+    });
+
+    await step.run("delete-stream-user",()=>deleteStreamUser(id.toString()));
+
+    // Clerk doesn't say who deleted the user, only that it happened
+    await step.run("audit-user-deleted",async()=>{
+      await connectDB();
+      await recordAudit({
+        action:"user.deleted",
+        source:"clerk",
+        targetType:"user",
+        targetId:id,
+        sourceEventId:event.id ? `clerk:${event.id}` : undefined,
+      });
+    });
+  }
+)
+
+const updateUser=defineFunction(
+  {
+    id:"update-user",
+    // one update per user at a time, so the Stream upserts land in the same order as the Mongo writes
+    concurrency:{limit:1,key:"event.data.id"},
+  },
+  {event: "clerk/user.updated"},
+  async ({event,step})=>{
+    const profile=profileFromClerk(event.data);
+
+    // only apply the event if it is newer than what we already stored. A stale event matches
+    // nothing here, and neither does an update that arrives before clerk/user.created has been
+    // processed; only the second kind has no user yet, so only then is one inserted
+    const {applied,previousRole}=await step.run("update-mongo-user",async()=>{
+      await connectDB();
+      // the document as it was before the update
+      const previous=await User.findOneAndUpdate(
+        {
+          clerkId:profile.clerkId,
+          $or:[{clerkUpdatedAt:{$exists:false}},{clerkUpdatedAt:{$lt:profile.clerkUpdatedAt}}],
+        },
+        {$set:profile},
+        {new:false}
+      );
+      if(previous) return {applied:true,previousRole:previous.role};
+
+      if(await User.exists({clerkId:profile.clerkId})) return {applied:false};
+      // if clerk/user.created inserts the user in between, this throws and the step's retry
+      // takes the update path above
+      await User.create(profile);
+      return {applied:true,previousRole:null};
+    });
+
+    if(!applied){
+      log.info("Skipping stale clerk/user.updated event",{clerkId:profile.clerkId,eventId:event.id});
+      return {skipped:true};
+    }
+
+    await step.run("upsert-stream-user",async()=>{
+      await connectDB();
+      const user=await User.findOne({clerkId:profile.clerkId});
+      await upsertStreamUser(toStreamUser(user));
+    });
+
+    // roles are edited in the Clerk dashboard, so this is the only place we see them change
+    if(previousRole && previousRole!==profile.role){
+      await step.run("audit-role-change",async()=>{
+        await connectDB();
+        await recordAudit({
+          action:"user.role_changed",
+          source:"clerk",
+          targetType:"user",
+          targetId:profile.clerkId,
+          details:{from:previousRole,to:profile.role},
+          sourceEventId:event.id ? `clerk:${event.id}` : undefined,
+        });
+      });
+    }
+
+    return {skipped:false};
+  }
+)
+
+const RECONCILE_BATCH=100;
+const RECONCILE_CHANNEL_BATCH=10;
+
+// Stream users we manage are keyed by Clerk ids; recording, bot and guest users are left alone
+const isClerkUserId=(id)=>id.startsWith("user_");
+
+// safety net for missed webhooks: brings Stream back in line with the User collection
+const reconcileUsers=defineFunction(
+  {
+    id:"reconcile-users",
+    concurrency:{limit:1},
+    // the report of the run that failed, not whichever one happens to be marked running
+    onFailure:async({event,error})=>{
+      await connectDB();
+      await ReconciliationRun.updateOne(
+        {inngestRunId:event.data.run_id},
+        {$set:{status:"failed",error:error.message,finishedAt:new Date()}}
+      );
+    },
+  },
+  [{cron:"0 */6 * * *"},{event:"app/reconciliation.requested"}],
+  async ({event,step,runId:inngestRunId})=>{
+    const runId=await step.run("start-run",async()=>{
+      await connectDB();
+      const run=await ReconciliationRun.create({
+        trigger: event.name==="app/reconciliation.requested" ? "manual" : "cron",
+        inngestRunId,
+      });
+      return run._id.toString();
+    });
+
+    // every Mongo user must exist in Stream
+    let lastUserId="start";
+    while(lastUserId){
+      lastUserId=await step.run(`upsert-missing-stream-users-${lastUserId}`,async()=>{
+        await connectDB();
+        const users=await User.find(lastUserId==="start" ? {} : {_id:{$gt:lastUserId}})
+          .sort({_id:1})
+          .limit(RECONCILE_BATCH);
+        if(!users.length) return null;
+
+        const streamUsers=await getStreamUsersByIds(users.map((u)=>u.clerkId));
+        const existing=new Set(streamUsers.map((u)=>u.id));
+        const missing=users.filter((u)=>!existing.has(u.clerkId));
+
+        for(const user of missing){
+          await upsertStreamUser(toStreamUser(user));
+        }
 
+        await ReconciliationRun.updateOne(
+          {_id:runId},
+          {$inc:{mongoUsersChecked:users.length},$push:{upsertedStreamUsers:{$each:missing.map((u)=>u.clerkId)}}}
+        );
+        return users.length<RECONCILE_BATCH ? null : users[users.length-1]._id.toString();
+      });
+    }
+
+    // Clerk users in Stream without a Mongo user were deleted while we weren't listening
+    let createdAfter=new Date(0).toISOString();
+    while(createdAfter){
+      createdAfter=await step.run(`delete-stream-orphans-${createdAfter}`,async()=>{
+        const streamUsers=await listStreamUsersCreatedAfter(createdAfter,RECONCILE_BATCH);
+        const candidates=streamUsers.filter((u)=>isClerkUserId(u.id)).map((u)=>u.id);
+
+        await connectDB();
+        const known=await User.find({clerkId:{$in:candidates}}).select("clerkId");
+        const knownIds=new Set(known.map((u)=>u.clerkId));
+        const orphans=candidates.filter((id)=>!knownIds.has(id));
+
+        for(const id of orphans) await deleteStreamUser(id);
+
+        await ReconciliationRun.updateOne(
+          {_id:runId},
+          {$inc:{streamUsersChecked:streamUsers.length},$push:{deletedStreamUsers:{$each:orphans}}}
+        );
+        return streamUsers.length<RECONCILE_BATCH ? null : streamUsers[streamUsers.length-1].created_at;
+      });
+    }
+
+    // everyone belongs to every discoverable channel, as addUserToPublicChannels intends;
+    // each step checks one page of users against one page of channels, so no step grows with the tenant
+    let channelOffset=0;
+    while(channelOffset!==null){
+      const channelIds=await step.run(`list-public-channels-${channelOffset}`,async()=>{
+        const ids=await listPublicChannelIds(channelOffset,RECONCILE_CHANNEL_BATCH);
+        await connectDB();
+        await ReconciliationRun.updateOne({_id:runId},{$inc:{publicChannelsChecked:ids.length}});
+        return ids;
+      });
+
+      let lastUserId=channelIds.length ? "start" : null;
+      while(lastUserId){
+        lastUserId=await step.run(`add-missing-memberships-${channelOffset}-${lastUserId}`,async()=>{
+          await connectDB();
+          const users=await User.find(lastUserId==="start" ? {} : {_id:{$gt:lastUserId}})
+            .sort({_id:1})
+            .limit(RECONCILE_BATCH)
+            .select("clerkId");
+          if(!users.length) return null;
+
+          for(const channelId of channelIds){
+            const missing=await findMissingChannelMembers(channelId,users.map((u)=>u.clerkId));
+            if(!missing.length) continue;
+            await addChannelMembers(channelId,missing);
+            await ReconciliationRun.updateOne(
+              {_id:runId},
+              {$push:{addedMemberships:{channelId,userIds:missing}}}
+            );
+          }
+          return users.length<RECONCILE_BATCH ? null : users[users.length-1]._id.toString();
+        });
+      }
+
+      channelOffset=channelIds.length<RECONCILE_CHANNEL_BATCH ? null : channelOffset+RECONCILE_CHANNEL_BATCH;
+    }
+
+    await step.run("finish-run",async()=>{
+      await connectDB();
+      await ReconciliationRun.updateOne({_id:runId},{$set:{status:"completed",finishedAt:new Date()}});
+    });
+
+    return {runId};
+  }
+)
+
+const GUEST_CLEANUP_BATCH=50;
+
+// guest Stream users from invite links are deleted once they expire, or right away when revoked
+const expireGuestUsers=defineFunction(
+  {id:"expire-guest-users",concurrency:{limit:1}},
+  [{cron:"0 * * * *"},{event:"app/guest.revoked"}],
+  async ({step})=>{
+    let removed=0;
+    for(let batch=0;;batch++){
+      const count=await step.run(`delete-expired-guests-${batch}`,async()=>{
+        await connectDB();
+        const invites=await GuestInvite.find({
+          guestUserId:{$exists:true},
+          guestRemovedAt:{$exists:false},
+          $or:[{guestExpiresAt:{$lte:new Date()}},{revokedAt:{$exists:true}}],
+        }).limit(GUEST_CLEANUP_BATCH);
+
+        for(const invite of invites){
+          await deleteStreamUser(invite.guestUserId);
+          await GuestInvite.updateOne({_id:invite._id},{$set:{guestRemovedAt:new Date()}});
+        }
+        return invites.length;
+      });
+
+      removed+=count;
+      if(count<GUEST_CLEANUP_BATCH) break;
+    }
+
+    return {removed};
+  }
+)
+
+const STATUS_CLEANUP_BATCH=50;
+
+// expired statuses are already hidden everywhere; this removes them from Mongo and Stream
+const clearExpiredStatuses=defineFunction(
+  {id:"clear-expired-statuses",concurrency:{limit:1}},
+  {cron:"*/15 * * * *"},
+  async ({step})=>{
+    let cleared=0;
+    for(let batch=0;;batch++){
+      const count=await step.run(`clear-expired-statuses-${batch}`,async()=>{
+        await connectDB();
+        const users=await User.find({"status.expiresAt":{$lte:new Date()}}).limit(STATUS_CLEANUP_BATCH);
+
+        for(const user of users){
+          // matching the expiry skips anyone who set a new status in the meantime
+          const updated=await User.findOneAndUpdate(
+            {_id:user._id,"status.expiresAt":user.status.expiresAt},
+            {$unset:{status:1}},
+            {new:true}
+          );
+          if(updated) await upsertStreamUser(toStreamUser(updated));
+        }
+        return users.length;
+      });
+
+      cleared+=count;
+      if(count<STATUS_CLEANUP_BATCH) break;
+    }
+
+    return {cleared};
   }
-  )
+)
+
+const REMINDER_OFFSETS=[
+  {key:"24h",ms:24*60*60*1000,label:"in 24 hours"},
+  {key:"10m",ms:10*60*1000,label:"in 10 minutes"},
+];
+
+const formatInterviewTime=(interview)=>
+  new Intl.DateTimeFormat("en-US",{
+    dateStyle:"medium",
+    timeStyle:"short",
+    timeZone:interview.timezone,
+    timeZoneName:"short",
+  }).format(interview.startTime);
+
+// one run per scheduled interview; the controller cancels it when the interview changes
+// and starts a new one, and each reminder re-checks the interview before posting
+const sendInterviewReminders=defineFunction(
+  {
+    id:"send-interview-reminders",
+    cancelOn:[{event:"app/interview.reminders.cancelled",match:"data.interviewId"}],
+  },
+  {event:"app/interview.scheduled"},
+  async ({event,step})=>{
+    const {interviewId,startTime}=event.data;
 
+    await step.run("ensure-bot-user",()=>ensureSystemBot());
 
+    const sent=[];
+    for(const reminder of REMINDER_OFFSETS){
+      const remindAt=new Date(new Date(startTime).getTime()-reminder.ms);
+      // compare against the event time, not now, so replays take the same steps
+      if(remindAt.getTime()<=event.ts) continue;
+
+      await step.sleepUntil(`wait-for-${reminder.key}-reminder`,remindAt);
+
+      const reminderMessage=await step.run(`post-${reminder.key}-reminder`,async()=>{
+        await connectDB();
+        const interview=await Interview.findById(interviewId);
+        // a changed or cancelled interview has its own run, or none
+        if(!interview || interview.status!=="scheduled" || interview.startTime.toISOString()!==startTime){
+          return null;
+        }
+
+        const joinUrl=`${ENV.CLIENT_URL}/call/${interview.callId}`;
+        const text=`⏰ Reminder: "${interview.title}" starts ${reminder.label} (${formatInterviewTime(interview)}). Join here: ${joinUrl}`;
+
+        await sendChannelMessage(interview.channelId,text);
+        return {text,participants:[interview.candidate,...interview.interviewers]};
+      });
+      if(!reminderMessage) return {interviewId,sent,skipped:reminder.key};
+
+      // separate steps so one failed DM doesn't repeat the channel post or the other DMs
+      for(const userId of reminderMessage.participants){
+        await step.run(`dm-${reminder.key}-reminder-${userId}`,async()=>{
+          await sendDirectMessage(userId,reminderMessage.text);
+        });
+      }
+      sent.push(reminder.key);
+    }
+
+    return {interviewId,sent};
+  }
+)
 
 // Create an empty array where we'll export future Inngest functions
-export const functions = [syncUser,deleteUserFromDB];
\ No newline at end of file
+export const functions = [syncUser,reprovisionUser,updateUser,deleteUserFromDB,reconcileUsers,expireGuestUsers,clearExpiredStatuses,sendInterviewReminders];
+
+// offline there's no Inngest server to send events to, so they run the functions right here
+export const localInngest=createLocalRunner(definitions);
+if(ENV.DEV_OFFLINE) inngest.send=localInngest.send;
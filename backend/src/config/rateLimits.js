@@ -0,0 +1,29 @@
+import { ENV } from './env.js';
+
+// requests allowed per client in each window, by budget name
+const DEFAULT_BUDGETS={
+  // every /api route, on top of any budget of its own
+  default:{limit:300,windowMs:60*1000},
+  chatToken:{limit:30,windowMs:60*1000},
+  // public: keyed by IP, and each attempt is a guess at an invite token
+  guestToken:{limit:10,windowMs:15*60*1000},
+  callToken:{limit:60,windowMs:60*1000},
+  search:{limit:30,windowMs:60*1000},
+  // the member picker searches as you type and loads more pages as you scroll
+  directory:{limit:120,windowMs:60*1000},
+  export:{limit:5,windowMs:60*1000},
+  inviteCreate:{limit:20,windowMs:60*60*1000},
+  bookingPage:{limit:60,windowMs:60*1000},
+  booking:{limit:10,windowMs:60*60*1000},
+  calendarFeed:{limit:60,windowMs:60*60*1000},
+};
+
+// RATE_LIMIT_OVERRIDES='{"chatToken":{"limit":60}}' changes budgets without a deploy
+export const RATE_LIMITS=Object.fromEntries(
+  Object.entries(DEFAULT_BUDGETS).map(([name,budget])=>[
+    name,
+    {...budget,...ENV.RATE_LIMIT_OVERRIDES[name]},
+  ])
+);
+
+export const RATE_LIMIT_STORE=ENV.RATE_LIMIT_STORE;
@@ -1,44 +1,88 @@
-import {StreamChat} from 'stream-chat';
+import {JWTUserToken} from 'stream-chat';
 import { ENV } from '../config/env.js';
+import * as liveProvider from '../providers/stream/live.js';
+import * as memoryProvider from '../providers/stream/memory.js';
 
-const streamClient= new StreamChat.getInstance(ENV.STREAM_API_KEY,ENV.STREAM_API_SECRET);
+// every Stream call goes through a provider with the same exports: providers/stream/live.js
+// talks to Stream, providers/stream/memory.js keeps everything in this process for offline dev
+const provider=ENV.DEV_OFFLINE ? memoryProvider : liveProvider;
 
-export const upsertStreamUser= async(userData)=>{
-       try{
-           await streamClient.upsertUser(userData);
-           console.log('Stream user upserted:',userData.name);
-           return userData;
-       }catch(error){
-        console.error('Error upserting Stream user:',error);
-       }
+export const {
+  upsertStreamUser,
+  deleteStreamUser,
+  genrateStreamToken,
+  addUserToPublicChannels,
+  isChannelMember,
+  addChannelMembers,
+  channelExists,
+  createStreamChannel,
+  getStreamUsersByIds,
+  listStreamUsersCreatedAfter,
+  listPublicChannelIds,
+  findMissingChannelMembers,
+  verifyStreamWebhook,
+  getChannelData,
+  iterateChannelMessages,
+  getRecentMessages,
+  iterateMessageReplies,
+  searchMessages,
+  getRecordingUrl,
+}=provider;
 
+// app calls use their own call type: the "user" role can't create, read or join its calls,
+// so a chat token alone gets nobody in. Only call members can, and members are added by the
+// server once the call authorization checks pass
+export const CALL_TYPE="members_only";
+const MEMBER_GRANTS=["read-call","join-call","join-ended-call","send-audio","send-video","screenshare"];
+const HOST_GRANTS=[
+  ...MEMBER_GRANTS,
+  "create-call","update-call","end-call","mute-users","block-users",
+  "update-call-member","remove-call-member","update-call-permissions",
+  "start-record-call","stop-record-call",
+];
+const CALL_TYPE_GRANTS={
+  user:[],
+  guest:[],
+  call_member:MEMBER_GRANTS,
+  host:HOST_GRANTS,
+  admin:HOST_GRANTS,
+};
+
+// set up once per process, and tried again on the next call if it fails
+let callTypeReady=null;
+export const ensureCallType=()=>{
+  callTypeReady ??= provider.ensureCallType(CALL_TYPE,CALL_TYPE_GRANTS).catch((error)=>{
+    callTypeReady=null;
+    throw error;
+  });
+  return callTypeReady;
 }
 
+// role is the call role, "host" or "call_member"
+export const addCallMember=async(callId,userId,role,createdById)=>{
+  await ensureCallType();
+  return provider.addCallMember(CALL_TYPE,callId,userId,role,createdById);
+}
 
-export const deleteStreamUser=async(userId)=>{
-  try{
-      await streamClient.deleteUser(userId);
-      console.log('Stream user deleted:',userId);
-  }catch(error){
-      console.error('Error deleting Stream user:',error);
-  }
+// video token limited to the given calls, e.g. ["members_only:interview-123"], with a call role
+export const generateCallToken=(userId,callCids,role,validityInSeconds=3600)=>{
+  // backdate iat a little so small clock differences don't reject a fresh token
+  const iat=Math.floor(Date.now()/1000)-30;
+  return JWTUserToken(ENV.STREAM_API_SECRET,userId.toString(),{
+    call_cids:callCids,
+    role,
+    iat,
+    exp:iat+validityInSeconds,
+  });
 }
 
+// the account automated messages (like interview reminders) are posted from
+export const SYSTEM_BOT={id:"system-bot",name:"Slap Bot"};
 
-export const genrateStreamToken=(userId)=>{
-  try{
-   const userIdString=userId.toString();
-   return streamClient.createToken(userIdString);
-  }catch(error){
-    console.error('Error generating Stream token:',error);
-    return null;
-  }
-}
+export const ensureSystemBot=()=>upsertStreamUser(SYSTEM_BOT);
 
-export const addUserToPublicChannels = async (newUserId) => {
-  const publicChannels = await streamClient.queryChannels({ discoverable: true });
+export const sendChannelMessage=(channelId,text,userId=SYSTEM_BOT.id)=>
+  provider.sendChannelMessage(channelId,text,userId);
 
-  for (const channel of publicChannels) {
-    await channel.addMembers([newUserId]);
-  }
-};
+export const sendDirectMessage=(toUserId,text,fromUserId=SYSTEM_BOT.id)=>
+  provider.sendDirectMessage(toUserId,text,fromUserId);
@@ -0,0 +1,85 @@
+import { User } from "../models/User.js";
+import { ReconciliationRun } from "../models/ReconciliationRun.js";
+import { inngest } from "../config/inngest.js";
+import { auditRequest } from "../lib/audit.js";
+import { CONFIG_PROBLEMS, ENV, redactedConfig } from "../config/env.js";
+import mongoose from "mongoose";
+import { createLogger } from "../lib/logger.js";
+
+const log=createLogger({module:"admin"});
+
+export const getFailedProvisioning=async(req,res)=>{
+  try{
+    const users=await User.find({"provisioning.status":"failed"})
+      .sort({"provisioning.failedAt":-1})
+      .select("clerkId email name role provisioning createdAt");
+    return res.status(200).json({users});
+  }catch(error){
+    log.error("Error fetching failed provisioning",{error});
+    res.status(500).json({message:"Error fetching failed provisioning"});
+  }
+}
+
+export const retryProvisioning=async(req,res)=>{
+  try{
+    const {clerkId}=req.params;
+    const user=await User.findOneAndUpdate(
+      {clerkId},
+      {$set:{"provisioning.status":"pending"}},
+      {new:true}
+    );
+    if(!user) return res.status(404).json({message:"User not found"});
+
+    await inngest.send({name:"app/user.provision.requested",data:{clerkId}});
+    await auditRequest(req,"user.provisioning_retried",{targetType:"user",targetId:clerkId});
+    return res.status(202).json({user});
+  }catch(error){
+    log.error("Error retrying provisioning",{error});
+    res.status(500).json({message:"Error retrying provisioning"});
+  }
+}
+
+export const getReconciliationRuns=async(req,res)=>{
+  try{
+    const runs=await ReconciliationRun.find()
+      .sort({startedAt:-1})
+      .limit(20)
+      .select("-upsertedStreamUsers -deletedStreamUsers -addedMemberships");
+    return res.status(200).json({runs});
+  }catch(error){
+    log.error("Error fetching reconciliation runs",{error});
+    res.status(500).json({message:"Error fetching reconciliation runs"});
+  }
+}
+
+export const getReconciliationRun=async(req,res)=>{
+  try{
+    const {id}=req.params;
+    const run=mongoose.isValidObjectId(id) ? await ReconciliationRun.findById(id) : null;
+    if(!run) return res.status(404).json({message:"Reconciliation run not found"});
+    return res.status(200).json({run});
+  }catch(error){
+    log.error("Error fetching reconciliation run",{error});
+    res.status(500).json({message:"Error fetching reconciliation run"});
+  }
+}
+
+export const triggerReconciliation=async(req,res)=>{
+  try{
+    await inngest.send({name:"app/reconciliation.requested",data:{requestedBy:req.auth().userId}});
+    await auditRequest(req,"reconciliation.requested");
+    return res.status(202).json({message:"Reconciliation started"});
+  }catch(error){
+    log.error("Error triggering reconciliation",{error});
+    res.status(500).json({message:"Error triggering reconciliation"});
+  }
+}
+
+// what the running server was configured with, secrets redacted
+export const getConfig=async(req,res)=>{
+  return res.status(200).json({
+    environment:ENV.NODE_ENV,
+    config:redactedConfig(),
+    problems:CONFIG_PROBLEMS,
+  });
+}
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import { AUDIT_SOURCES, AuditLog } from "../models/AuditLog.js";
+import { User } from "../models/User.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "audit" });
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// undefined for a value that isn't a date, null when none was given
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+// entries are ordered by occurredAt then _id; the cursor is the last entry's pair
+const encodeCursor = (entry) =>
+  Buffer.from(`${entry.occurredAt.getTime()}:${entry._id}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, "base64url").toString("utf8").split(":");
+  const occurredAt = new Date(Number(time));
+  if (isNaN(occurredAt) || !mongoose.isValidObjectId(id)) return null;
+  return { occurredAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { action, actorId, targetId, channelId, source, from, to, next } = req.query;
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+    if (source && !AUDIT_SOURCES.includes(source)) {
+      return res.status(400).json({ message: `source must be one of ${AUDIT_SOURCES.join(", ")}` });
+    }
+
+    const filter = {};
+    // action=member.added,member.removed matches either
+    if (action) filter.action = { $in: String(action).split(",") };
+    if (actorId) filter.actorId = String(actorId);
+    if (targetId) filter.targetId = String(targetId);
+    if (channelId) filter.channelId = String(channelId);
+    if (source) filter.source = source;
+    if (fromDate || toDate) {
+      filter.occurredAt = {};
+      if (fromDate) filter.occurredAt.$gte = fromDate;
+      if (toDate) filter.occurredAt.$lte = toDate;
+    }
+
+    if (next) {
+      const cursor = decodeCursor(String(next));
+      if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+      filter.$and = [
+        {
+          $or: [
+            { occurredAt: { $lt: cursor.occurredAt } },
+            { occurredAt: cursor.occurredAt, _id: { $lt: cursor.id } },
+          ],
+        },
+      ];
+    }
+
+    // one extra entry tells us whether there is another page
+    const entries = await AuditLog.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    // names for the people involved; deleted users just keep their id
+    const userIds = new Set();
+    for (const entry of entries) {
+      if (entry.actorId) userIds.add(entry.actorId);
+      if (entry.targetType === "user") userIds.add(entry.targetId);
+    }
+    const users = await User.find({ clerkId: { $in: [...userIds] } }).select("clerkId name");
+    const names = Object.fromEntries(users.map((u) => [u.clerkId, u.name]));
+
+    return res.status(200).json({
+      entries: entries.map((entry) => ({
+        ...entry,
+        actorName: names[entry.actorId] ?? null,
+        targetName: entry.targetType === "user" ? names[entry.targetId] ?? null : null,
+      })),
+      next: hasMore ? encodeCursor(entries[entries.length - 1]) : null,
+    });
+  } catch (error) {
+    log.error("Error fetching audit log", { error });
+    res.status(500).json({ message: "Error fetching audit log" });
+  }
+};
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Availability } from "../models/Availability.js";
+import { Interview } from "../models/Interview.js";
+import { User } from "../models/User.js";
+import { createStreamChannel } from "../config/stream.js";
+import { generateSlots, validateWeeklyWindows } from "../lib/availability.js";
+import { auditRequest } from "../lib/audit.js";
+import { rescheduleReminders } from "./interview.controller.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "availability" });
+
+const EDITABLE_FIELDS = [
+  "title",
+  "timezone",
+  "weeklyWindows",
+  "slotMinutes",
+  "bufferMinutes",
+  "minNoticeHours",
+  "horizonDays",
+  "enabled",
+];
+
+const BOOKING_LOCK_MS = 15 * 1000;
+const BOOKING_LOCK_ATTEMPTS = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// interviews that keep the interviewer busy, within the booking horizon
+const findBusyTimes = (availability, now = new Date()) =>
+  Interview.find({
+    $or: [{ interviewers: availability.interviewer }, { candidate: availability.interviewer }],
+    status: { $in: ["scheduled", "in_progress"] },
+    endTime: { $gte: now },
+    startTime: { $lte: new Date(now.getTime() + (availability.horizonDays + 1) * 24 * 60 * 60 * 1000) },
+  }).select("startTime endTime");
+
+// one booking at a time per interviewer: a single-document update is atomic, so only one
+// request can move the lock forward; stale locks from crashed requests expire on their own
+const acquireBookingLock = async (availabilityId) => {
+  for (let attempt = 0; attempt < BOOKING_LOCK_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const locked = await Availability.findOneAndUpdate(
+      {
+        _id: availabilityId,
+        $or: [{ bookingLockedUntil: { $exists: false } }, { bookingLockedUntil: { $lt: now } }],
+      },
+      { $set: { bookingLockedUntil: new Date(now.getTime() + BOOKING_LOCK_MS) } },
+      { new: true }
+    );
+    if (locked) return locked;
+    await sleep(200);
+  }
+  return null;
+};
+
+// only clears the lock this request took: if it ran past BOOKING_LOCK_MS and someone else has
+// locked since, their lock has a different expiry and stays put
+const releaseBookingLock = (locked) =>
+  Availability.updateOne(
+    { _id: locked._id, bookingLockedUntil: locked.bookingLockedUntil },
+    { $unset: { bookingLockedUntil: 1 } }
+  );
+
+const findPublishedAvailability = async (req, res) => {
+  const availability = await Availability.findOne({ slug: req.params.slug, enabled: true });
+  if (!availability) {
+    res.status(404).json({ message: "This booking page doesn't exist or is turned off" });
+    return null;
+  }
+  return availability;
+};
+
+export const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ interviewer: req.auth().userId });
+    return res.status(200).json({ availability });
+  } catch (error) {
+    log.error("Error fetching availability", { error });
+    res.status(500).json({ message: "Error fetching availability" });
+  }
+};
+
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (updates.weeklyWindows !== undefined) {
+      const windowsError = validateWeeklyWindows(updates.weeklyWindows);
+      if (windowsError) return res.status(400).json({ message: windowsError });
+    }
+    if (updates.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: updates.timezone });
+      } catch {
+        return res.status(400).json({ message: "Invalid timezone" });
+      }
+    }
+
+    const availability = await Availability.findOneAndUpdate(
+      { interviewer: userId },
+      {
+        $set: updates,
+        $setOnInsert: { slug: crypto.randomBytes(6).toString("base64url") },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    return res.status(200).json({ availability });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error("Error updating availability", { error });
+    res.status(500).json({ message: "Error updating availability" });
+  }
+};
+
+// public: what the booking page shows, no sign-in needed to look
+export const getBookingPage = async (req, res) => {
+  try {
+    const availability = await findPublishedAvailability(req, res);
+    if (!availability) return;
+
+    const interviewer = await User.findOne({ clerkId: availability.interviewer });
+    const slots = generateSlots(availability, await findBusyTimes(availability));
+
+    return res.status(200).json({
+      title: availability.title,
+      interviewer: { name: interviewer?.name, image: interviewer?.image },
+      timezone: availability.timezone,
+      slotMinutes: availability.slotMinutes,
+      slots,
+    });
+  } catch (error) {
+    log.error("Error fetching booking page", { error });
+    res.status(500).json({ message: "Error fetching booking page" });
+  }
+};
+
+export const bookSlot = async (req, res) => {
+  let locked = null;
+  try {
+    const userId = req.auth().userId;
+    const availability = await findPublishedAvailability(req, res);
+    if (!availability) return;
+
+    if (availability.interviewer === userId) {
+      return res.status(400).json({ message: "You can't book your own interview slot" });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    if (isNaN(startTime)) return res.status(400).json({ message: "Pick a slot to book" });
+
+    locked = await acquireBookingLock(availability._id);
+    if (!locked) {
+      return res.status(409).json({ message: "Someone else is booking right now, try again" });
+    }
+
+    // with the lock held, the free slots can't change underneath us
+    const slot = generateSlots(locked, await findBusyTimes(locked)).find(
+      (s) => s.startTime.getTime() === startTime.getTime()
+    );
+    if (!slot) {
+      return res.status(409).json({ message: "That slot was just taken, pick another one" });
+    }
+
+    const candidate = await User.findOne({ clerkId: userId });
+    const title = `${locked.title}: ${candidate?.name || "Candidate"}`;
+
+    // every booking gets a private channel of its own, so candidates never see each other
+    const channel = await createStreamChannel(
+      `booking-${crypto.randomUUID()}`,
+      { name: title, members: [userId, locked.interviewer], private: true, visibility: "private" },
+      locked.interviewer
+    );
+
+    const interview = await Interview.create({
+      title,
+      candidate: userId,
+      interviewers: [locked.interviewer],
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: locked.timezone,
+      channelId: channel.id,
+      callId: `interview-${crypto.randomUUID()}`,
+      createdBy: locked.interviewer,
+    });
+
+    await rescheduleReminders(interview);
+    await auditRequest(req, "interview.booked", {
+      targetType: "interview",
+      targetId: interview._id.toString(),
+      channelId: interview.channelId,
+      details: { interviewer: locked.interviewer, startTime: interview.startTime },
+    });
+
+    return res.status(201).json({ interview });
+  } catch (error) {
+    log.error("Error booking slot", { error });
+    res.status(500).json({ message: "Error booking slot" });
+  } finally {
+    if (locked) await releaseBookingLock(locked).catch(() => {});
+  }
+};
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import { Interview } from "../models/Interview.js";
+import { User } from "../models/User.js";
+import { buildCalendar, interviewEvent } from "../lib/ics.js";
+import { ENV } from "../config/env.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "calendar" });
+
+// past interviews stay in the feed for a while so calendars don't drop them right away
+const FEED_HISTORY_DAYS = 30;
+
+const joinUrlFor = (interview) => `${ENV.CLIENT_URL}/call/${interview.callId}`;
+
+const interviewEvents = async (interviews) => {
+  const ids = new Set(interviews.flatMap((i) => [i.createdBy, i.candidate, ...i.interviewers]));
+  const users = await User.find({ clerkId: { $in: [...ids] } }).select("clerkId name email");
+  const usersById = new Map(users.map((u) => [u.clerkId, u]));
+
+  return interviews.map((interview) => interviewEvent(interview, usersById, joinUrlFor(interview)));
+};
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get("host")}/api/calendar/feed/${token}.ics`;
+
+const sendCalendar = (res, calendar, filename) => {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(calendar);
+};
+
+export const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkId: req.auth().userId });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString("base64url");
+      await user.save();
+    }
+
+    return res.status(200).json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    log.error("Error fetching calendar feed URL", { error });
+    res.status(500).json({ message: "Error fetching calendar feed URL" });
+  }
+};
+
+export const rotateCalendarFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { clerkId: req.auth().userId },
+      { calendarToken: crypto.randomBytes(24).toString("base64url") },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    log.error("Error rotating calendar feed URL", { error });
+    res.status(500).json({ message: "Error rotating calendar feed URL" });
+  }
+};
+
+// public: calendar apps can't sign in, the token in the URL is the credential
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, "");
+    const user = token ? await User.findOne({ calendarToken: token }) : null;
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const interviews = await Interview.find({
+      $or: [{ createdBy: user.clerkId }, { candidate: user.clerkId }, { interviewers: user.clerkId }],
+      endTime: { $gte: since },
+    })
+      .sort({ startTime: 1 })
+      .limit(500);
+
+    const calendar = buildCalendar(await interviewEvents(interviews), { name: "Slap interviews" });
+    return sendCalendar(res, calendar);
+  } catch (error) {
+    log.error("Error building calendar feed", { error });
+    res.status(500).json({ message: "Error building calendar feed" });
+  }
+};
+
+// a single invite; CANCEL for cancelled interviews so an imported copy gets removed
+export const sendInterviewInvite = async (res, interview) => {
+  const [event] = await interviewEvents([interview]);
+  const calendar = buildCalendar([event], {
+    method: interview.status === "cancelled" ? "CANCEL" : "REQUEST",
+  });
+  return sendCalendar(res, calendar, `interview-${interview._id}.ics`);
+};
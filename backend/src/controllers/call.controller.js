@@ -0,0 +1,267 @@
+import { Interview } from "../models/Interview.js";
+import { User } from "../models/User.js";
+import { CallAdmission } from "../models/CallAdmission.js";
+import { GuestInvite } from "../models/GuestInvite.js";
+import { CALL_TYPE, addCallMember, generateCallToken, isChannelMember } from "../config/stream.js";
+import { auditRequest } from "../lib/audit.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "call" });
+
+// the client asks for a new token through its token provider before this runs out
+const CALL_TOKEN_TTL_SECONDS = 15 * 60;
+// the lobby screen checks in every few seconds, anyone quieter than this has left
+const LOBBY_PRESENCE_MS = 30 * 1000;
+
+// interview calls use the interview's callId, ad-hoc calls use the channel id
+const resolveCallAccess = async (callId, userId) => {
+  const interview = await Interview.findOne({ callId });
+  if (interview) {
+    if (interview.status === "cancelled") {
+      return { allowed: false, message: "This interview was cancelled" };
+    }
+    if (interview.createdBy === userId || interview.interviewers.includes(userId)) {
+      return { allowed: true, role: "host", interview };
+    }
+    if (interview.candidate === userId) {
+      return { allowed: true, role: "user", interview };
+    }
+    return { allowed: false, message: "You are not part of this interview" };
+  }
+
+  let isMember;
+  try {
+    isMember = await isChannelMember(callId, userId);
+  } catch {
+    // Stream rejects ids that aren't a channel, so there's no call by that id
+    return { allowed: false, status: 404, message: "Call not found" };
+  }
+  if (!isMember) {
+    return { allowed: false, message: "You are not a member of this channel" };
+  }
+
+  const user = await User.findOne({ clerkId: userId }).select("role");
+  const isStaff = ["admin", "interviewer"].includes(user?.role);
+  return { allowed: true, role: isStaff ? "host" : "user", interview: null };
+};
+
+// non-hosts on an interview call wait in the lobby until a host lets them in
+const needsAdmission = (access) => !!access.interview && access.role !== "host";
+
+// resolve access for the requester, or send the error response
+const findCallAccess = async (req, res) => {
+  const access = await resolveCallAccess(req.params.callId, req.auth().userId);
+  if (!access.allowed) {
+    res.status(access.status ?? 403).json({ message: access.message });
+    return null;
+  }
+  return access;
+};
+
+// guests from invite links wait in the lobby of channel calls too, so any host manages it
+const findHostCallAccess = async (req, res) => {
+  const access = await findCallAccess(req, res);
+  if (!access) return null;
+
+  if (access.role !== "host") {
+    res.status(403).json({ message: "Only hosts of a call can manage its lobby" });
+    return null;
+  }
+  return access;
+};
+
+export const authorizeCall = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { callId } = req.params;
+
+    const access = await findCallAccess(req, res);
+    if (!access) return;
+
+    const response = {
+      callType: CALL_TYPE,
+      callId,
+      role: access.role,
+      interviewId: access.interview?._id ?? null,
+      lobby: needsAdmission(access),
+    };
+
+    if (response.lobby) {
+      const admission = await CallAdmission.findOne({ callId, userId });
+      // no token until admitted, so the call can't be joined from the lobby
+      if (admission?.status !== "admitted") {
+        return res.status(200).json({ ...response, admission: admission?.status ?? null });
+      }
+      response.admission = "admitted";
+    }
+
+    // the call type only lets members in, so the call is made here and only people who
+    // passed the checks above become members
+    const callRole = access.role === "host" ? "host" : "call_member";
+    await addCallMember(callId, userId, callRole, access.interview?.createdBy);
+
+    const token = generateCallToken(
+      userId,
+      [`${CALL_TYPE}:${callId}`],
+      callRole,
+      CALL_TOKEN_TTL_SECONDS
+    );
+
+    return res.status(200).json({
+      ...response,
+      token,
+      expiresAt: new Date(Date.now() + CALL_TOKEN_TTL_SECONDS * 1000),
+    });
+  } catch (error) {
+    log.error("Error authorizing call", { error });
+    res.status(500).json({ message: "Error authorizing call" });
+  }
+};
+
+// called repeatedly by the lobby screen: joins the lobby and reports the current status
+export const enterLobby = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { callId } = req.params;
+
+    const access = await findCallAccess(req, res);
+    if (!access) return;
+    if (!needsAdmission(access)) {
+      return res.status(400).json({ message: "This call has no lobby for you" });
+    }
+
+    const admission = await CallAdmission.findOneAndUpdate(
+      { callId, userId },
+      {
+        $set: { lastSeenAt: new Date() },
+        $setOnInsert: { interview: access.interview._id, status: "waiting" },
+      },
+      { upsert: true, new: true }
+    );
+
+    return res.status(200).json({ status: admission.status });
+  } catch (error) {
+    log.error("Error entering lobby", { error });
+    res.status(500).json({ message: "Error entering lobby" });
+  }
+};
+
+export const getLobby = async (req, res) => {
+  try {
+    const access = await findHostCallAccess(req, res);
+    if (!access) return;
+
+    const waiting = await CallAdmission.find({
+      callId: req.params.callId,
+      status: "waiting",
+      lastSeenAt: { $gte: new Date(Date.now() - LOBBY_PRESENCE_MS) },
+    }).sort({ createdAt: 1 });
+    const userIds = waiting.map((a) => a.userId);
+    const [users, guests] = await Promise.all([
+      User.find({ clerkId: { $in: userIds } }),
+      GuestInvite.find({ guestUserId: { $in: userIds } }).select("guestUserId guestName"),
+    ]);
+
+    return res.status(200).json({
+      waiting: waiting.map((admission) => {
+        const user = users.find((u) => u.clerkId === admission.userId);
+        const guest = guests.find((g) => g.guestUserId === admission.userId);
+        return {
+          userId: admission.userId,
+          name: user?.name || (guest && `${guest.guestName} (guest)`) || admission.userId,
+          image: user?.image,
+          waitingSince: admission.createdAt,
+        };
+      }),
+    });
+  } catch (error) {
+    log.error("Error fetching lobby", { error });
+    res.status(500).json({ message: "Error fetching lobby" });
+  }
+};
+
+// the guest page's lobby check-in, authenticated by the guest session. Once a host admits the
+// guest the answer carries a token for this one call, asked for again whenever it runs out
+export const enterGuestLobby = async (req, res) => {
+  try {
+    const invite = req.guestInvite;
+    const { callId, guestUserId } = invite;
+
+    if (invite.interview) {
+      const interview = await Interview.findById(invite.interview).select("status");
+      if (!interview || interview.status === "cancelled") {
+        return res.status(403).json({ message: "This interview was cancelled" });
+      }
+    }
+
+    const admission = await CallAdmission.findOneAndUpdate(
+      { callId, userId: guestUserId },
+      {
+        $set: { lastSeenAt: new Date() },
+        $setOnInsert: { interview: invite.interview, status: "waiting" },
+      },
+      { upsert: true, new: true }
+    );
+    if (admission.status !== "admitted") {
+      return res.status(200).json({ status: admission.status });
+    }
+
+    await addCallMember(callId, guestUserId, "call_member", invite.createdBy);
+
+    const sessionSeconds = Math.floor((invite.guestExpiresAt.getTime() - Date.now()) / 1000);
+    const validity = Math.min(CALL_TOKEN_TTL_SECONDS, sessionSeconds);
+    const token = generateCallToken(
+      guestUserId,
+      [`${CALL_TYPE}:${callId}`],
+      "call_member",
+      validity
+    );
+
+    return res.status(200).json({
+      status: admission.status,
+      callType: CALL_TYPE,
+      callId,
+      token,
+      expiresAt: new Date(Date.now() + validity * 1000),
+    });
+  } catch (error) {
+    log.error("Error entering guest lobby", { error });
+    res.status(500).json({ message: "Error entering lobby" });
+  }
+};
+
+const decideAdmission = (status) => async (req, res) => {
+  try {
+    const access = await findHostCallAccess(req, res);
+    if (!access) return;
+
+    const { callId, userId } = req.params;
+    const admission = await CallAdmission.findOneAndUpdate(
+      { callId, userId },
+      { status, decidedBy: req.auth().userId, decidedAt: new Date() },
+      { new: true }
+    );
+    if (!admission) return res.status(404).json({ message: "Nobody with that id is in the lobby" });
+
+    await auditRequest(req, `call.${status}`, {
+      targetType: "user",
+      targetId: userId,
+      channelId: access.interview?.channelId ?? callId,
+      details: { callId, interview: access.interview?._id },
+    });
+
+    // the interview starts once the first candidate is let in
+    if (status === "admitted" && access.interview?.status === "scheduled") {
+      access.interview.status = "in_progress";
+      await access.interview.save();
+    }
+
+    return res.status(200).json({ userId, status: admission.status });
+  } catch (error) {
+    log.error("Error updating lobby", { error });
+    res.status(500).json({ message: "Error updating lobby" });
+  }
+};
+
+export const admitParticipant = decideAdmission("admitted");
+export const denyParticipant = decideAdmission("denied");
@@ -0,0 +1,384 @@
+import { once } from "events";
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+import { Recording } from "../models/Recording.js";
+import { auditRequest } from "../lib/audit.js";
+import {
+  addChannelMembers,
+  channelExists,
+  createStreamChannel,
+  getChannelData,
+  getRecordingUrl,
+  isChannelMember,
+  iterateChannelMessages,
+  iterateMessageReplies,
+} from "../config/stream.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "channel" });
+
+const MAX_ID_ATTEMPTS = 20;
+
+const validateChannelName = (name) => {
+  if (typeof name !== "string" || !name.trim()) return "Channel name is required";
+  if (name.length < 3) return "Channel name must be at least 3 characters";
+  if (name.length > 22) return "Channel name must be less than 22 characters";
+
+  return "";
+};
+
+// MY COOL CHANNEL !#1 => my-cool-channel-1
+const slugifyChannelName = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-_]/g, "")
+    .slice(0, 20);
+
+// public channels include everyone, like addUserToPublicChannels does for new users
+const addAllUsers = async (channelId) => {
+  let lastId = null;
+  for (;;) {
+    const users = await User.find(lastId ? { _id: { $gt: lastId } } : {})
+      .sort({ _id: 1 })
+      .limit(100)
+      .select("clerkId");
+    if (!users.length) return;
+
+    await addChannelMembers(channelId, users.map((u) => u.clerkId));
+
+    if (users.length < 100) return;
+    lastId = users[users.length - 1]._id;
+  }
+};
+
+export const createChannel = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { name, description, type = "private", members = [] } = req.body;
+
+    const validationError = validateChannelName(name);
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    if (!["public", "private"].includes(type)) {
+      return res.status(400).json({ message: "Channel type must be public or private" });
+    }
+    if (type === "public" && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Only admins can create public channels" });
+    }
+    if (!Array.isArray(members) || members.some((id) => typeof id !== "string")) {
+      return res.status(400).json({ message: "Members must be a list of user ids" });
+    }
+
+    const baseId = slugifyChannelName(name);
+    if (!baseId) {
+      return res.status(400).json({ message: "Channel name must contain letters or numbers" });
+    }
+
+    const channelData = { name: name.trim(), members: [userId] };
+    if (description) channelData.description = description;
+
+    if (type === "private") {
+      channelData.private = true;
+      channelData.visibility = "private";
+    } else {
+      channelData.visibility = "public";
+      channelData.discoverable = true;
+    }
+
+    // marketing-team-updates-a and -b both slug to marketing-team-updat, so suffix on collision
+    // instead of letting the second creator silently join the first channel
+    let channel = null;
+    for (let attempt = 1; attempt <= MAX_ID_ATTEMPTS && !channel; attempt++) {
+      const channelId = attempt === 1 ? baseId : `${baseId}-${attempt}`;
+      if (await channelExists(channelId)) continue;
+
+      const created = await createStreamChannel(channelId, channelData, userId);
+      // someone else claimed this id between the check and the create
+      if (created.created_by?.id === userId) channel = created;
+    }
+
+    if (!channel) {
+      return res.status(409).json({ message: "Could not find a free channel ID, try another name" });
+    }
+
+    if (type === "public") await addAllUsers(channel.id);
+    else if (members.length) await addChannelMembers(channel.id, members);
+
+    await auditRequest(req, "channel.created", {
+      targetType: "channel",
+      targetId: channel.id,
+      channelId: channel.id,
+      details: { name: channelData.name, type, members },
+    });
+
+    return res.status(201).json({ channel });
+  } catch (error) {
+    log.error("Error creating channel", { error });
+    res.status(500).json({ message: "Error creating channel" });
+  }
+};
+
+const MAX_INVITES = 100;
+
+// staff add people to a channel they are in; the client can't add members itself
+export const addMembers = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { id: channelId } = req.params;
+    const { userIds } = req.body;
+
+    if (
+      !Array.isArray(userIds) ||
+      !userIds.length ||
+      userIds.length > MAX_INVITES ||
+      userIds.some((id) => typeof id !== "string")
+    ) {
+      return res
+        .status(400)
+        .json({ message: `Pick between 1 and ${MAX_INVITES} users to invite` });
+    }
+
+    let isMember;
+    try {
+      isMember = await isChannelMember(channelId, userId);
+    } catch {
+      return res.status(404).json({ message: "Channel not found" });
+    }
+    if (!isMember) {
+      return res.status(403).json({ message: "You are not a member of this channel" });
+    }
+
+    const ids = [...new Set(userIds)];
+    const known = await User.find({ clerkId: { $in: ids } }).select("clerkId");
+    if (known.length !== ids.length) {
+      return res.status(400).json({ message: "Some of these users don't exist" });
+    }
+
+    // the Stream webhook records these in the audit log, like any other membership change
+    await addChannelMembers(channelId, ids);
+    return res.status(200).json({ added: ids });
+  } catch (error) {
+    log.error("Error adding channel members", { error });
+    res.status(500).json({ message: "Error adding channel members" });
+  }
+};
+
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  md: { contentType: "text/markdown", extension: "md" },
+};
+
+const toExportRecord = (message) => ({
+  id: message.id,
+  parentId: message.parent_id || null,
+  type: message.type,
+  text: message.text || "",
+  user: { id: message.user?.id, name: message.user?.name || message.user?.id },
+  createdAt: message.created_at,
+  updatedAt: message.updated_at,
+  deletedAt: message.deleted_at || null,
+  pinned: !!message.pinned,
+  pinnedAt: message.pinned_at || null,
+  pinnedBy: message.pinned_by?.id || null,
+  replyCount: message.reply_count || 0,
+  attachments: (message.attachments || []).map((attachment) => ({
+    type: attachment.type,
+    title: attachment.title || attachment.fallback || "",
+    url: attachment.asset_url || attachment.image_url || attachment.og_scrape_url || "",
+    mimeType: attachment.mime_type || null,
+    size: attachment.file_size || null,
+  })),
+});
+
+// quote every field, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(",") + "\n";
+
+const formatTimestamp = (date) => new Date(date).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+
+const markdownMessage = (record, indent) => {
+  const lines = [];
+  const pin = record.pinned ? " 📌" : "";
+  lines.push(`**${record.user.name}** · ${formatTimestamp(record.createdAt)}${pin}`);
+  lines.push(record.deletedAt ? "_message deleted_" : record.text || "_no text_");
+  for (const attachment of record.attachments) {
+    const label = attachment.title || attachment.type || "attachment";
+    lines.push(`- 📎 ${attachment.url ? `[${label}](${attachment.url})` : label}`);
+  }
+  return lines.map((line) => `${indent}${line}`).join("\n") + "\n\n";
+};
+
+// each writer turns the export into chunks of its format
+const exportWriters = {
+  json: {
+    start: (channel) =>
+      `{"channel":${JSON.stringify(channel)},"exportedAt":${JSON.stringify(new Date())},"messages":[`,
+    thread: (message, replies, index) =>
+      (index > 0 ? "," : "") + JSON.stringify({ ...message, replies }),
+    end: () => "]}\n",
+  },
+  csv: {
+    start: () =>
+      csvRow([
+        "id",
+        "parent_id",
+        "created_at",
+        "user_id",
+        "user_name",
+        "type",
+        "text",
+        "pinned",
+        "deleted_at",
+        "attachments",
+      ]),
+    thread: (message, replies) =>
+      [message, ...replies]
+        .map((record) =>
+          csvRow([
+            record.id,
+            record.parentId,
+            record.createdAt,
+            record.user.id,
+            record.user.name,
+            record.type,
+            record.text,
+            record.pinned,
+            record.deletedAt,
+            record.attachments.map((a) => `${a.title || a.type} ${a.url}`.trim()).join("; "),
+          ])
+        )
+        .join(""),
+    end: () => "",
+  },
+  md: {
+    start: (channel) =>
+      [
+        `# #${channel.name || channel.id} transcript`,
+        "",
+        `- Channel ID: ${channel.id}`,
+        `- Exported: ${formatTimestamp(new Date())}`,
+        `- Members: ${channel.members.map((m) => m.name).join(", ")}`,
+        "",
+        "---",
+        "",
+        "",
+      ].join("\n"),
+    thread: (message, replies) =>
+      markdownMessage(message, "") +
+      replies.map((reply) => markdownMessage(reply, "> ")).join(""),
+    end: () => "",
+  },
+};
+
+export const exportChannel = async (req, res) => {
+  const { id: channelId } = req.params;
+  const format = req.query.format || "json";
+
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: "Format must be json, csv or md" });
+    }
+    if (!(await isChannelMember(channelId, req.auth().userId))) {
+      return res.status(403).json({ message: "Only channel members can export its history" });
+    }
+
+    const data = await getChannelData(channelId);
+    const channel = {
+      id: data.id,
+      name: data.name || data.id,
+      description: data.description || "",
+      createdAt: data.created_at,
+      members: (data.members || []).map((m) => ({ id: m.user_id, name: m.user?.name || m.user_id })),
+    };
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const writer = exportWriters[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${channelId}-${date}.${extension}"`
+    );
+
+    // the history can be long, so write it out as we page through Stream
+    const write = async (chunk) => {
+      if (chunk && !res.write(chunk)) await once(res, "drain");
+    };
+
+    await write(writer.start(channel));
+
+    let index = 0;
+    for await (const message of iterateChannelMessages(channelId)) {
+      const replies = [];
+      if (message.reply_count > 0) {
+        for await (const reply of iterateMessageReplies(channelId, message.id)) {
+          replies.push(toExportRecord(reply));
+        }
+      }
+      await write(writer.thread(toExportRecord(message), replies, index++));
+    }
+
+    await write(writer.end());
+    res.end();
+  } catch (error) {
+    log.error("Error exporting channel", { error });
+    // once streaming has started the status is already sent, so cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Error exporting channel" });
+  }
+};
+
+export const getChannelRecordings = async (req, res) => {
+  try {
+    const { id: channelId } = req.params;
+    if (!(await isChannelMember(channelId, req.auth().userId))) {
+      return res.status(403).json({ message: "Only channel members can view its recordings" });
+    }
+
+    const recordings = await Recording.find({ channelId })
+      .sort({ startTime: -1 })
+      .populate("interview", "title candidate startTime");
+
+    return res.status(200).json({ recordings });
+  } catch (error) {
+    log.error("Error fetching recordings", { error });
+    res.status(500).json({ message: "Error fetching recordings" });
+  }
+};
+
+export const getRecordingPlaybackUrl = async (req, res) => {
+  try {
+    const { id: channelId, recordingId } = req.params;
+    if (!(await isChannelMember(channelId, req.auth().userId))) {
+      return res.status(403).json({ message: "Only channel members can view its recordings" });
+    }
+
+    const recording = mongoose.isValidObjectId(recordingId)
+      ? await Recording.findOne({ _id: recordingId, channelId })
+      : null;
+    if (!recording) return res.status(404).json({ message: "Recording not found" });
+
+    const url = await getRecordingUrl(
+      recording.callType,
+      recording.callId,
+      recording.sessionId,
+      recording.filename
+    );
+    if (!url) return res.status(404).json({ message: "Recording is no longer available" });
+
+    return res.status(200).json({ url });
+  } catch (error) {
+    log.error("Error fetching recording url", { error });
+    res.status(500).json({ message: "Error fetching recording url" });
+  }
+};
@@ -1,4 +1,21 @@
-import { genrateStreamToken } from "../config/stream.js" 
+import crypto from "crypto";
+import {
+  CALL_TYPE,
+  addChannelMembers,
+  deleteStreamUser,
+  genrateStreamToken,
+  getRecentMessages,
+  sendChannelMessage,
+  upsertStreamUser,
+} from "../config/stream.js"
+import { GuestInvite } from "../models/GuestInvite.js";
+import { hashInviteToken } from "./invite.controller.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "chat" });
+
+// how long a guest can stay once they open their invite link
+const GUEST_SESSION_HOURS = 12;
 
 
 
@@ -8,7 +25,121 @@ export const getStreamToken=async (req,res)=>{
        const token=await genrateStreamToken(req.auth().userId)
        return res.status(200).json({token});
   }catch(error){
+      log.error("Error generating stream token", { error });
       res.status(500).json({message:"Error generating stream token"});
   }
    
-}
\ No newline at end of file
+}
+
+// public: trades a single-use invite link for a guest session in one channel and call.
+// Guests get no Stream tokens here: their chat goes through the guest routes below, which only
+// reach the invite's channel, and their call token comes from the lobby once a host admits them
+export const getGuestToken=async (req,res)=>{
+  const { token, name } = req.body;
+  if (typeof token !== "string" || !token) {
+    return res.status(400).json({ message: "Invite token is required" });
+  }
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 50) {
+    return res.status(400).json({ message: "Enter your name (up to 50 characters)" });
+  }
+
+  let invite=null;
+  try{
+    const now = new Date();
+    const guestUserId = `guest_${crypto.randomUUID()}`;
+    const guestExpiresAt = new Date(now.getTime() + GUEST_SESSION_HOURS * 60 * 60 * 1000);
+    const sessionToken = crypto.randomBytes(32).toString("base64url");
+
+    // claim the link first so two tabs can't both use it. The guest id is saved with the claim,
+    // before Stream hears of it, so the expiry job can always find the Stream user to delete
+    invite = await GuestInvite.findOneAndUpdate(
+      {
+        tokenHash: hashInviteToken(token),
+        usedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: now },
+      },
+      {
+        $set: {
+          usedAt: now,
+          guestUserId,
+          guestName: name.trim(),
+          guestExpiresAt,
+          sessionTokenHash: hashInviteToken(sessionToken),
+        },
+      },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(410).json({ message: "This invite link is invalid, expired or already used" });
+    }
+
+    await upsertStreamUser({ id: guestUserId, name: `${name.trim()} (guest)`, role: "guest" });
+    // membership of this one channel is what the guest chat routes read and post to
+    await addChannelMembers(invite.channelId, [guestUserId]);
+
+    return res.status(200).json({
+      sessionToken,
+      user: { id: guestUserId, name: `${name.trim()} (guest)` },
+      channelId: invite.channelId,
+      callType: CALL_TYPE,
+      callId: invite.callId,
+      expiresAt: guestExpiresAt,
+    });
+  }catch(error){
+    log.error("Error generating guest token", { error });
+    // give the link back so the guest can try again, once the half-made Stream user is gone.
+    // If that fails too the link stays used, and the expiry job deletes the user later
+    if (invite) {
+      try {
+        await deleteStreamUser(invite.guestUserId);
+        await GuestInvite.updateOne(
+          { _id: invite._id },
+          { $unset: { usedAt: 1, guestUserId: 1, guestName: 1, guestExpiresAt: 1, sessionTokenHash: 1 } }
+        );
+      } catch {
+        // leave the claim in place
+      }
+    }
+    res.status(500).json({message:"Error generating guest token"});
+  }
+}
+
+const GUEST_MESSAGE_LIMIT = 50;
+const MAX_GUEST_MESSAGE_LENGTH = 2000;
+
+const toGuestMessage = (message) => ({
+  id: message.id,
+  text: message.text,
+  user: { id: message.user?.id, name: message.user?.name, image: message.user?.image },
+  createdAt: message.created_at,
+});
+
+// the guest page polls this for the invite channel's latest messages
+export const getGuestMessages=async (req,res)=>{
+  try{
+    const messages = await getRecentMessages(req.guestInvite.channelId, GUEST_MESSAGE_LIMIT);
+    return res.status(200).json({ messages: messages.map(toGuestMessage) });
+  }catch(error){
+    log.error("Error fetching guest messages", { error });
+    res.status(500).json({message:"Error fetching messages"});
+  }
+}
+
+export const sendGuestMessage=async (req,res)=>{
+  const { text } = req.body;
+  if (typeof text !== "string" || !text.trim() || text.length > MAX_GUEST_MESSAGE_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: `Messages must be 1 to ${MAX_GUEST_MESSAGE_LENGTH} characters` });
+  }
+
+  try{
+    const { channelId, guestUserId } = req.guestInvite;
+    const { message } = await sendChannelMessage(channelId, text.trim(), guestUserId);
+    return res.status(201).json({ message: toGuestMessage(message) });
+  }catch(error){
+    log.error("Error sending guest message", { error });
+    res.status(500).json({message:"Error sending message"});
+  }
+}
@@ -0,0 +1,34 @@
+import { localInngest } from "../config/inngest.js";
+
+// offline dev only, see routes/dev.route.js
+
+export const listInngestFunctions = (req, res) => {
+  res.status(200).json({ functions: localInngest.functions });
+};
+
+// runs the function to completion and returns what it returned, or the error it threw
+export const invokeInngestFunction = async (req, res) => {
+  try {
+    const { name, data } = req.body ?? {};
+    const result = await localInngest.invoke(req.params.id, { name, data });
+    return res.status(200).json({ result: result ?? null });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// like inngest.send, e.g. { "name": "clerk/user.created", "data": { ...Clerk user } }
+export const sendInngestEvent = async (req, res) => {
+  try {
+    const { name, data } = req.body ?? {};
+    if (!name) return res.status(400).json({ message: "Event name is required" });
+
+    const { ids } = await localInngest.send({ name, data });
+    // ?wait=true holds the response until the functions it started have finished
+    if (req.query.wait === "true") await localInngest.settle();
+
+    return res.status(202).json({ ids });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
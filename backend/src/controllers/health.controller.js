@@ -0,0 +1,59 @@
+import { createRequire } from "module";
+import mongoose from "mongoose";
+import { CONFIG_PROBLEMS, ENV } from "../config/env.js";
+
+const { version } = createRequire(import.meta.url)("../../package.json");
+const startedAt = Date.now();
+
+const MONGO_STATES = {
+  0: "disconnected",
+  1: "connected",
+  2: "connecting",
+  3: "disconnecting",
+  99: "uninitialized",
+};
+
+// startup already checked the configuration against its schema; readiness reports the result
+const checkConfigGroup = (group) => {
+  const problems = CONFIG_PROBLEMS.filter((p) => p.group === group).map((p) => p.message);
+  return problems.length ? { ok: false, problems } : { ok: true };
+};
+
+// offline dev doesn't use the real services, so there is nothing to configure
+const checkServices = () => {
+  if (ENV.DEV_OFFLINE) {
+    const offline = { ok: true, mode: "offline" };
+    return { stream: offline, clerk: offline, inngest: offline };
+  }
+
+  return {
+    stream: checkConfigGroup("stream"),
+    clerk: checkConfigGroup("clerk"),
+    inngest: checkConfigGroup("inngest"),
+  };
+};
+
+// liveness: the process is up and serving requests, nothing else is checked
+export const getHealth = (req, res) => {
+  res.status(200).json({ status: "ok", uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+};
+
+// readiness: whether this instance can do its job, 503 until it can
+export const getReadiness = (req, res) => {
+  const mongoState = mongoose.connection.readyState;
+  const checks = {
+    mongo: { ok: mongoState === 1, state: MONGO_STATES[mongoState] ?? "unknown" },
+    ...checkServices(),
+  };
+  const ready = Object.values(checks).every((check) => check.ok);
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    version,
+    // set by Vercel on deployed builds
+    commit: process.env.VERCEL_GIT_COMMIT_SHA,
+    environment: ENV.NODE_ENV,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    checks,
+  });
+};
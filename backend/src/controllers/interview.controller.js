@@ -0,0 +1,267 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Interview } from "../models/Interview.js";
+import { User } from "../models/User.js";
+import { addChannelMembers, isChannelMember } from "../config/stream.js";
+import { inngest } from "../config/inngest.js";
+import { auditRequest } from "../lib/audit.js";
+import { sendInterviewInvite } from "./calendar.controller.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "interview" });
+
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "candidate",
+  "interviewers",
+  "startTime",
+  "endTime",
+  "timezone",
+  "status",
+];
+
+const isParticipant = (interview, userId) =>
+  interview.createdBy === userId ||
+  interview.candidate === userId ||
+  interview.interviewers.includes(userId);
+
+const auditTarget = (interview) => ({
+  targetType: "interview",
+  targetId: interview._id.toString(),
+  channelId: interview.channelId,
+  details: { title: interview.title, candidate: interview.candidate, startTime: interview.startTime },
+});
+
+const validateInterview = ({ title, candidate, interviewers, startTime, endTime, timezone }) => {
+  if (!title?.trim()) return "Title is required";
+  if (!candidate) return "Candidate is required";
+  if (!Array.isArray(interviewers) || interviewers.length === 0)
+    return "At least one interviewer is required";
+  if (interviewers.includes(candidate)) return "The candidate cannot also be an interviewer";
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (isNaN(start) || isNaN(end)) return "Start and end time must be valid dates";
+  if (end <= start) return "End time must be after start time";
+
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch {
+      return "Invalid timezone";
+    }
+  }
+
+  return "";
+};
+
+// replace any pending reminder run with one for the interview's current start time;
+// reminders are best-effort, so a failed send doesn't fail the request
+export const rescheduleReminders = async (interview) => {
+  try {
+    const interviewId = interview._id.toString();
+    await inngest.send({ name: "app/interview.reminders.cancelled", data: { interviewId } });
+    if (interview.status === "scheduled" && interview.startTime > new Date()) {
+      await inngest.send({
+        name: "app/interview.scheduled",
+        data: { interviewId, startTime: interview.startTime.toISOString() },
+      });
+    }
+  } catch (error) {
+    log.error("Error scheduling interview reminders", { error });
+  }
+};
+
+// interviewers must hold an interviewer or admin role
+const checkInterviewerRoles = async (interviewers) => {
+  const staff = await User.find({
+    clerkId: { $in: interviewers },
+    role: { $in: ["admin", "interviewer"] },
+  });
+  const invalid = interviewers.filter((id) => !staff.some((user) => user.clerkId === id));
+  return invalid.length ? "Only interviewers and admins can be on an interview panel" : "";
+};
+
+// load an interview the current user takes part in, or send the error response
+const findInterviewForUser = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ message: "Interview not found" });
+    return null;
+  }
+
+  const interview = await Interview.findById(id);
+  if (!interview) {
+    res.status(404).json({ message: "Interview not found" });
+    return null;
+  }
+
+  if (!isParticipant(interview, req.auth().userId)) {
+    res.status(403).json({ message: "You are not part of this interview" });
+    return null;
+  }
+
+  return interview;
+};
+
+export const getInterviews = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { channelId, callId, upcoming } = req.query;
+
+    const filter = {};
+    if (channelId) {
+      if (!(await isChannelMember(channelId, userId))) {
+        return res.status(403).json({ message: "You are not a member of this channel" });
+      }
+      filter.channelId = channelId;
+    }
+
+    // staff see every interview in a channel; everyone else only the ones they take part in,
+    // so candidates in a shared channel can't list each other's interviews
+    const user = channelId ? await User.findOne({ clerkId: userId }).select("role") : null;
+    if (!["admin", "interviewer"].includes(user?.role)) {
+      filter.$or = [{ createdBy: userId }, { candidate: userId }, { interviewers: userId }];
+    }
+
+    if (callId) filter.callId = callId;
+
+    if (upcoming === "true") {
+      filter.endTime = { $gte: new Date() };
+      filter.status = { $in: ["scheduled", "in_progress"] };
+    }
+
+    const interviews = await Interview.find(filter).sort({ startTime: 1 });
+    return res.status(200).json({ interviews });
+  } catch (error) {
+    log.error("Error fetching interviews", { error });
+    res.status(500).json({ message: "Error fetching interviews" });
+  }
+};
+
+export const getInterview = async (req, res) => {
+  try {
+    const interview = await findInterviewForUser(req, res);
+    if (!interview) return;
+
+    return res.status(200).json({ interview });
+  } catch (error) {
+    log.error("Error fetching interview", { error });
+    res.status(500).json({ message: "Error fetching interview" });
+  }
+};
+
+export const getInterviewInvite = async (req, res) => {
+  try {
+    const interview = await findInterviewForUser(req, res);
+    if (!interview) return;
+
+    return sendInterviewInvite(res, interview);
+  } catch (error) {
+    log.error("Error building interview invite", { error });
+    res.status(500).json({ message: "Error building interview invite" });
+  }
+};
+
+export const createInterview = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { title, description, candidate, interviewers, startTime, endTime, timezone, channelId } =
+      req.body;
+
+    if (!channelId) return res.status(400).json({ message: "Channel is required" });
+
+    const validationError =
+      validateInterview(req.body) || (await checkInterviewerRoles(interviewers));
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    if (!(await isChannelMember(channelId, userId))) {
+      return res.status(403).json({ message: "You are not a member of this channel" });
+    }
+
+    // make sure everyone taking part can see the channel the call link is posted in
+    await addChannelMembers(channelId, [candidate, ...interviewers]);
+
+    const interview = await Interview.create({
+      title: title.trim(),
+      description,
+      candidate,
+      interviewers,
+      startTime,
+      endTime,
+      timezone,
+      channelId,
+      callId: `interview-${crypto.randomUUID()}`,
+      createdBy: userId,
+    });
+
+    await rescheduleReminders(interview);
+    await auditRequest(req, "interview.created", auditTarget(interview));
+
+    return res.status(201).json({ interview });
+  } catch (error) {
+    log.error("Error creating interview", { error });
+    res.status(500).json({ message: "Error creating interview" });
+  }
+};
+
+export const updateInterview = async (req, res) => {
+  try {
+    const interview = await findInterviewForUser(req, res);
+    if (!interview) return;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) interview[field] = req.body[field];
+    }
+
+    const validationError =
+      validateInterview(interview) ||
+      (req.body.interviewers !== undefined ? await checkInterviewerRoles(interview.interviewers) : "");
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    if (req.body.candidate !== undefined || req.body.interviewers !== undefined) {
+      await addChannelMembers(interview.channelId, [interview.candidate, ...interview.interviewers]);
+    }
+
+    const remindersChanged = interview.isModified("startTime") || interview.isModified("status");
+    const changed = interview.directModifiedPaths();
+
+    await interview.save();
+    if (remindersChanged) await rescheduleReminders(interview);
+    if (changed.length) {
+      await auditRequest(req, "interview.updated", {
+        ...auditTarget(interview),
+        details: { changed, status: interview.status },
+      });
+    }
+
+    return res.status(200).json({ interview });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error("Error updating interview", { error });
+    res.status(500).json({ message: "Error updating interview" });
+  }
+};
+
+// interviews are cancelled rather than removed: saving the status bumps the sequence, so
+// calendar feeds and downloaded invites pick up the cancellation instead of losing the event
+export const deleteInterview = async (req, res) => {
+  try {
+    const interview = await findInterviewForUser(req, res);
+    if (!interview) return;
+
+    if (interview.status !== "cancelled") {
+      interview.status = "cancelled";
+      await interview.save();
+      await rescheduleReminders(interview);
+      await auditRequest(req, "interview.cancelled", auditTarget(interview));
+    }
+    return res.status(200).json({ message: "Interview cancelled", interview });
+  } catch (error) {
+    log.error("Error deleting interview", { error });
+    res.status(500).json({ message: "Error deleting interview" });
+  }
+};
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { GuestInvite } from "../models/GuestInvite.js";
+import { Interview } from "../models/Interview.js";
+import { isChannelMember } from "../config/stream.js";
+import { inngest } from "../config/inngest.js";
+import { ENV } from "../config/env.js";
+import { auditRequest } from "../lib/audit.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "invite" });
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 7 * 24;
+
+export const hashInviteToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const inviteState = (invite) => {
+  if (invite.revokedAt) return "revoked";
+  if (invite.usedAt) return "used";
+  if (invite.expiresAt <= new Date()) return "expired";
+  return "active";
+};
+
+const toInviteResponse = (invite) => {
+  const { tokenHash: _tokenHash, ...data } = invite.toObject();
+  return { ...data, state: inviteState(invite) };
+};
+
+export const createGuestInvite = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { interviewId, expiresInHours = DEFAULT_EXPIRY_HOURS } = req.body;
+    let { channelId, callId } = req.body;
+    let interview = null;
+
+    // interview links lead to the interview's call, otherwise to the channel's own call
+    if (interviewId) {
+      interview = mongoose.isValidObjectId(interviewId)
+        ? await Interview.findById(interviewId)
+        : null;
+      if (!interview) return res.status(404).json({ message: "Interview not found" });
+      if (interview.status === "cancelled" || interview.status === "completed") {
+        return res.status(400).json({ message: "This interview is no longer running" });
+      }
+      channelId = interview.channelId;
+      callId = interview.callId;
+    }
+
+    if (!channelId) return res.status(400).json({ message: "Channel or interview is required" });
+    callId = callId || channelId;
+
+    const hours = Number(expiresInHours);
+    if (!(hours > 0 && hours <= MAX_EXPIRY_HOURS)) {
+      return res.status(400).json({ message: `Links can last up to ${MAX_EXPIRY_HOURS} hours` });
+    }
+
+    if (!(await isChannelMember(channelId, userId))) {
+      return res.status(403).json({ message: "Only channel members can invite guests" });
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const invite = await GuestInvite.create({
+      tokenHash: hashInviteToken(token),
+      channelId,
+      callId,
+      interview: interview?._id,
+      createdBy: userId,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    await auditRequest(req, "guest_invite.created", {
+      targetType: "guest_invite",
+      targetId: invite._id.toString(),
+      channelId,
+      details: { callId, interview: interview?._id, expiresAt: invite.expiresAt },
+    });
+
+    // the token is not stored, so this response is the only place the link appears
+    return res.status(201).json({
+      invite: toInviteResponse(invite),
+      url: `${ENV.CLIENT_URL}/invite/${token}`,
+    });
+  } catch (error) {
+    log.error("Error creating guest invite", { error });
+    res.status(500).json({ message: "Error creating guest invite" });
+  }
+};
+
+export const getGuestInvites = async (req, res) => {
+  try {
+    const { channelId, interviewId } = req.query;
+    if (!channelId) return res.status(400).json({ message: "channelId is required" });
+
+    if (!(await isChannelMember(channelId, req.auth().userId))) {
+      return res.status(403).json({ message: "Only channel members can see its guest links" });
+    }
+
+    const filter = { channelId };
+    if (interviewId && mongoose.isValidObjectId(interviewId)) filter.interview = interviewId;
+
+    const invites = await GuestInvite.find(filter).sort({ createdAt: -1 }).limit(50);
+    return res.status(200).json({ invites: invites.map(toInviteResponse) });
+  } catch (error) {
+    log.error("Error fetching guest invites", { error });
+    res.status(500).json({ message: "Error fetching guest invites" });
+  }
+};
+
+export const revokeGuestInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const invite = mongoose.isValidObjectId(id) ? await GuestInvite.findById(id) : null;
+    if (!invite) return res.status(404).json({ message: "Invite not found" });
+
+    if (invite.createdBy !== req.auth().userId && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Only the link's creator or an admin can revoke it" });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+      await auditRequest(req, "guest_invite.revoked", {
+        targetType: "guest_invite",
+        targetId: invite._id.toString(),
+        channelId: invite.channelId,
+        details: { guestUserId: invite.guestUserId },
+      });
+    }
+
+    // a guest who already used the link loses access straight away
+    if (invite.guestUserId && !invite.guestRemovedAt) {
+      await inngest.send({ name: "app/guest.revoked", data: { inviteId: invite._id.toString() } });
+    }
+
+    return res.status(200).json({ invite: toInviteResponse(invite) });
+  } catch (error) {
+    log.error("Error revoking guest invite", { error });
+    res.status(500).json({ message: "Error revoking guest invite" });
+  }
+};
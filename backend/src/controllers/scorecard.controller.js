@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import { Interview } from "../models/Interview.js";
+import { Rubric } from "../models/Rubric.js";
+import { Scorecard } from "../models/Scorecard.js";
+import { User } from "../models/User.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "scorecard" });
+
+const DEFAULT_RUBRIC = {
+  name: "General interview",
+  competencies: [
+    { key: "problem_solving", name: "Problem solving" },
+    { key: "technical_skills", name: "Technical skills" },
+    { key: "communication", name: "Communication" },
+    { key: "culture_add", name: "Culture add" },
+  ],
+  ratingScale: { min: 1, max: 4, labels: ["Strong no", "No", "Yes", "Strong yes"] },
+  isDefault: true,
+};
+
+const ensureDefaultRubric = async () => {
+  try {
+    return await Rubric.findOneAndUpdate(
+      { isDefault: true },
+      { $setOnInsert: DEFAULT_RUBRIC },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // a concurrent request inserted it first; the unique index kept it to one
+    if (error.code === 11000) return Rubric.findOne({ isDefault: true });
+    throw error;
+  }
+};
+
+const validateRatings = (rubric, ratings) => {
+  if (!Array.isArray(ratings)) return "Ratings are required";
+  if (ratings.some((r) => !r || typeof r !== "object" || Array.isArray(r))) {
+    return "Each rating must be an object with a competency and a score";
+  }
+
+  // ratings are stored as sent, so they must be exactly the rubric's competencies, once each
+  const keys = new Set(rubric.competencies.map((competency) => competency.key));
+  const seen = new Set();
+  for (const { competency } of ratings) {
+    if (!keys.has(competency)) return `Unknown competency: ${competency}`;
+    if (seen.has(competency)) return `Duplicate rating for ${competency}`;
+    seen.add(competency);
+  }
+
+  const { min, max } = rubric.ratingScale;
+  for (const competency of rubric.competencies) {
+    const rating = ratings.find((r) => r.competency === competency.key);
+    if (!rating) return `Missing rating for ${competency.name}`;
+    if (!Number.isInteger(rating.score) || rating.score < min || rating.score > max) {
+      return `Rating for ${competency.name} must be between ${min} and ${max}`;
+    }
+  }
+
+  return "";
+};
+
+// only the interview's panel takes part in scoring
+const findInterviewForInterviewer = async (req, res) => {
+  const { interviewId } = req.params;
+  const interview = mongoose.isValidObjectId(interviewId)
+    ? await Interview.findById(interviewId)
+    : null;
+
+  if (!interview) {
+    res.status(404).json({ message: "Interview not found" });
+    return null;
+  }
+
+  if (!interview.interviewers.includes(req.auth().userId)) {
+    res.status(403).json({ message: "Only interviewers on this interview can submit feedback" });
+    return null;
+  }
+
+  return interview;
+};
+
+export const getRubrics = async (req, res) => {
+  try {
+    await ensureDefaultRubric();
+    const rubrics = await Rubric.find().sort({ isDefault: -1, name: 1 });
+    return res.status(200).json({ rubrics });
+  } catch (error) {
+    log.error("Error fetching rubrics", { error });
+    res.status(500).json({ message: "Error fetching rubrics" });
+  }
+};
+
+export const createRubric = async (req, res) => {
+  try {
+    const { name, competencies, ratingScale } = req.body;
+
+    if (!name?.trim()) return res.status(400).json({ message: "Rubric name is required" });
+    if (ratingScale && !(ratingScale.min < ratingScale.max)) {
+      return res.status(400).json({ message: "Rating scale min must be lower than max" });
+    }
+
+    const rubric = await Rubric.create({
+      name: name.trim(),
+      competencies,
+      ratingScale,
+      createdBy: req.auth().userId,
+    });
+
+    return res.status(201).json({ rubric });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error("Error creating rubric", { error });
+    res.status(500).json({ message: "Error creating rubric" });
+  }
+};
+
+export const getInterviewScorecards = async (req, res) => {
+  try {
+    const interview = await findInterviewForInterviewer(req, res);
+    if (!interview) return;
+
+    const userId = req.auth().userId;
+    const scorecards = await Scorecard.find({ interview: interview._id });
+    const myScorecard = scorecards.find((s) => s.interviewer === userId) || null;
+
+    // other interviewers' scores stay hidden until you've submitted your own,
+    // so nobody gets anchored by the rest of the panel
+    const others = myScorecard ? scorecards.filter((s) => s.interviewer !== userId) : [];
+    const users = await User.find({ clerkId: { $in: others.map((s) => s.interviewer) } });
+
+    return res.status(200).json({
+      myScorecard,
+      scorecards: others.map((s) => ({
+        ...s.toObject(),
+        interviewerName: users.find((u) => u.clerkId === s.interviewer)?.name || s.interviewer,
+      })),
+      submittedCount: scorecards.length,
+      interviewerCount: interview.interviewers.length,
+    });
+  } catch (error) {
+    log.error("Error fetching scorecards", { error });
+    res.status(500).json({ message: "Error fetching scorecards" });
+  }
+};
+
+export const submitScorecard = async (req, res) => {
+  try {
+    const interview = await findInterviewForInterviewer(req, res);
+    if (!interview) return;
+
+    const userId = req.auth().userId;
+    const { rubricId, ratings, recommendation, notes } = req.body;
+
+    const rubric = mongoose.isValidObjectId(rubricId) ? await Rubric.findById(rubricId) : null;
+    if (!rubric) return res.status(400).json({ message: "Rubric not found" });
+
+    const validationError = validateRatings(rubric, ratings);
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    const existing = await Scorecard.exists({ interview: interview._id, interviewer: userId });
+    if (existing) {
+      return res.status(409).json({ message: "You have already submitted feedback" });
+    }
+
+    const scorecard = await Scorecard.create({
+      interview: interview._id,
+      interviewer: userId,
+      rubric: rubric._id,
+      ratings: ratings.map(({ competency, score, notes }) => ({ competency, score, notes })),
+      recommendation,
+      notes,
+    });
+
+    const submittedCount = await Scorecard.countDocuments({ interview: interview._id });
+    if (submittedCount >= interview.interviewers.length && interview.status !== "cancelled") {
+      interview.status = "completed";
+      await interview.save();
+    }
+
+    return res.status(201).json({ scorecard });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: "You have already submitted feedback" });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error("Error submitting scorecard", { error });
+    res.status(500).json({ message: "Error submitting scorecard" });
+  }
+};
@@ -0,0 +1,97 @@
+import { searchMessages } from "../config/stream.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "search" });
+
+const MAX_LIMIT = 50;
+
+// "has:attachment" can be typed straight into the search box as well as sent as a flag
+const parseQuery = (q = "") => {
+  const tokens = q.trim().split(/\s+/).filter(Boolean);
+  const hasAttachment = tokens.some((token) => token.toLowerCase() === "has:attachment");
+  const text = tokens.filter((token) => token.toLowerCase() !== "has:attachment").join(" ");
+  return { text, hasAttachment };
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+const toSearchResult = (message) => ({
+  id: message.id,
+  text: message.text || "",
+  parentId: message.parent_id || null,
+  createdAt: message.created_at,
+  user: {
+    id: message.user?.id,
+    name: message.user?.name || message.user?.id,
+    image: message.user?.image,
+  },
+  channel: {
+    id: message.channel?.id,
+    name: message.channel?.name || message.channel?.id,
+  },
+  attachmentCount: message.attachments?.length || 0,
+});
+
+export const searchChannelMessages = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { q, channelId, authorId, from, to, next } = req.query;
+    // a negative or fractional limit would reach Stream as-is, so clamp it to a whole page size
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+
+    // a repeated parameter (?q=a&q=b) arrives as an array
+    const params = { q, channelId, authorId, from, to, next };
+    const repeated = Object.keys(params).find(
+      (key) => params[key] !== undefined && typeof params[key] !== "string"
+    );
+    if (repeated) return res.status(400).json({ message: `${repeated} must be a single value` });
+
+    const { text, hasAttachment } = parseQuery(q);
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+
+    const messageFilter = {};
+    if (text) messageFilter.text = { $autocomplete: text };
+    if (authorId) messageFilter["user.id"] = { $eq: authorId };
+    if (hasAttachment || req.query.hasAttachment === "true") {
+      messageFilter.attachments = { $exists: true };
+    }
+    if (fromDate || toDate) {
+      messageFilter.created_at = {};
+      if (fromDate) messageFilter.created_at.$gte = fromDate.toISOString();
+      if (toDate) messageFilter.created_at.$lte = toDate.toISOString();
+    }
+
+    if (!Object.keys(messageFilter).length) {
+      return res.status(400).json({ message: "Enter a search term or pick a filter" });
+    }
+
+    // only ever search channels the requester belongs to
+    const channelFilter = { members: { $in: [userId] } };
+    if (channelId) channelFilter.cid = `messaging:${channelId}`;
+
+    const options = { limit, sort: [{ created_at: -1 }] };
+    if (next) options.next = next;
+
+    const { messages, next: nextCursor } = await searchMessages(
+      channelFilter,
+      messageFilter,
+      options
+    );
+
+    return res.status(200).json({
+      results: messages.map(toSearchResult),
+      next: nextCursor || null,
+    });
+  } catch (error) {
+    log.error("Error searching messages", { error });
+    res.status(500).json({ message: "Error searching messages" });
+  }
+};
@@ -0,0 +1,140 @@
+import { StreamEvent } from "../models/StreamEvent.js";
+import { Recording } from "../models/Recording.js";
+import { Interview } from "../models/Interview.js";
+import { verifyStreamWebhook } from "../config/stream.js";
+import { inngest } from "../config/inngest.js";
+import { recordAudit } from "../lib/audit.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "stream-webhook" });
+
+const MESSAGE_EVENTS = ["message.new", "message.updated", "message.deleted"];
+const MEMBER_EVENTS = ["member.added", "member.removed"];
+// membership changes from several places (channel invites, bookings, guest links, Stream's
+// dashboard), so the audit log picks these up here rather than in the controllers
+const AUDITED_EVENTS = [...MEMBER_EVENTS, "channel.deleted"];
+
+const categoryOf = (type) => {
+  if (MESSAGE_EVENTS.includes(type)) return "message";
+  if (MEMBER_EVENTS.includes(type)) return "member";
+  if (type.startsWith("channel.")) return "channel";
+  return null;
+};
+
+// flatten the different Stream payload shapes into one StreamEvent document
+const normalizeEvent = (payload, webhookId) => {
+  const category = categoryOf(payload.type);
+  const channelId = payload.channel_id ?? payload.channel?.id;
+  const channelType = payload.channel_type ?? payload.channel?.type;
+
+  const event = {
+    webhookId,
+    type: payload.type,
+    category,
+    channelType,
+    channelId,
+    userId: payload.user?.id,
+    occurredAt: payload.created_at ? new Date(payload.created_at) : new Date(),
+    payload,
+  };
+
+  if (category === "message") {
+    event.messageId = payload.message?.id;
+    event.parentMessageId = payload.message?.parent_id;
+    event.text = payload.message?.text;
+    event.userId = event.userId ?? payload.message?.user?.id;
+  }
+
+  if (category === "member") {
+    event.memberId = payload.member?.user_id ?? payload.member?.user?.id;
+  }
+
+  return event;
+};
+
+// interview calls belong to the interview's channel, ad-hoc calls use the channel id as call id
+const saveRecording = async (payload) => {
+  const [callType, callId] = (payload.call_cid || "").split(":");
+  const recording = payload.call_recording;
+  if (!callId || !recording?.filename) return null;
+
+  const interview = await Interview.findOne({ callId });
+
+  // keyed on the file name, so a retried delivery updates the same document
+  return Recording.findOneAndUpdate(
+    { filename: recording.filename },
+    {
+      callType,
+      callId,
+      channelId: interview?.channelId ?? callId,
+      interview: interview?._id,
+      sessionId: recording.session_id,
+      startTime: recording.start_time,
+      endTime: recording.end_time,
+    },
+    { upsert: true, new: true }
+  );
+};
+
+export const handleStreamWebhook = async (req, res) => {
+  try {
+    if (!verifyStreamWebhook(req.body, req.get("x-signature"))) {
+      return res.status(401).json({ message: "Invalid webhook signature" });
+    }
+
+    const payload = JSON.parse(req.body.toString("utf8"));
+
+    if (payload?.type === "call.recording_ready") {
+      const recording = await saveRecording(payload);
+      return res.status(200).json({ received: true, stored: !!recording });
+    }
+
+    if (!payload?.type || !categoryOf(payload.type)) {
+      // acknowledge events we don't track so Stream doesn't retry them
+      return res.status(200).json({ received: true, stored: false });
+    }
+
+    const webhookId = req.get("x-webhook-id") || undefined;
+    const normalized = normalizeEvent(payload, webhookId);
+
+    // Stream retries with the same webhook id; keep one document and let Inngest
+    // dedupe the forwarded event on that id too, in case the first send failed
+    let stored = webhookId ? await StreamEvent.findOne({ webhookId }) : null;
+    if (!stored) {
+      try {
+        stored = await StreamEvent.create(normalized);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        stored = await StreamEvent.findOne({ webhookId });
+      }
+    }
+
+    if (AUDITED_EVENTS.includes(normalized.type)) {
+      await recordAudit({
+        action: normalized.type,
+        actorId: normalized.userId,
+        source: "stream",
+        targetType: normalized.category === "member" ? "user" : "channel",
+        targetId: normalized.memberId ?? normalized.channelId,
+        channelId: normalized.channelId,
+        sourceEventId: `stream:${stored._id}`,
+        occurredAt: normalized.occurredAt,
+      });
+    }
+
+    const { payload: _payload, ...data } = normalized;
+    await inngest.send({
+      id: webhookId,
+      name: `stream/${normalized.type}`,
+      data: { ...data, eventId: stored._id.toString() },
+    });
+
+    return res.status(200).json({ received: true, stored: true });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ message: "Invalid JSON body" });
+    }
+    log.error("Error handling Stream webhook", { error });
+    res.status(500).json({ message: "Error handling Stream webhook" });
+  }
+};
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import { ROLES, User } from "../models/User.js";
+import { upsertStreamUser } from "../config/stream.js";
+import { buildProfileUpdate, toPublicProfile, toStreamUser } from "../lib/profile.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger({ module: "user" });
+
+const DIRECTORY_DEFAULT_LIMIT = 20;
+const DIRECTORY_MAX_LIMIT = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// users are ordered by nameKey then _id; the cursor is the last user's pair
+const encodeCursor = (user) =>
+  Buffer.from(JSON.stringify([user.nameKey ?? "", user._id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const [nameKey, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof nameKey !== "string" || !mongoose.isValidObjectId(id)) return null;
+    return { nameKey, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// the signed-in user's own profile, with the fields only they see
+const toOwnProfile = (user) => ({ ...toPublicProfile(user), email: user.email });
+
+export const getMyProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkId: req.auth().userId });
+    // the sync-user Inngest function creates the User shortly after sign-up
+    if (!user) return res.status(404).json({ message: "Your profile isn't set up yet" });
+    return res.status(200).json({ user: toOwnProfile(user) });
+  } catch (error) {
+    log.error("Error fetching profile", { error });
+    res.status(500).json({ message: "Error fetching profile" });
+  }
+};
+
+export const updateMyProfile = async (req, res) => {
+  try {
+    const { update, error } = buildProfileUpdate(req.body ?? {});
+    if (error) return res.status(400).json({ message: error });
+
+    const user = await User.findOneAndUpdate({ clerkId: req.auth().userId }, update, {
+      new: true,
+      runValidators: true,
+    });
+    if (!user) return res.status(404).json({ message: "Your profile isn't set up yet" });
+
+    // chat shows these fields straight from the Stream user
+    await upsertStreamUser(toStreamUser(user));
+
+    return res.status(200).json({ user: toOwnProfile(user) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error("Error updating profile", { error });
+    res.status(500).json({ message: "Error updating profile" });
+  }
+};
+
+// id is the Clerk id, which is also the user's Stream id
+export const getUserProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkId: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    return res.status(200).json({ user: toPublicProfile(user) });
+  } catch (error) {
+    log.error("Error fetching user profile", { error });
+    res.status(500).json({ message: "Error fetching user profile" });
+  }
+};
+
+// the people directory: prefix search on any word of the name (and on email for staff),
+// role and department filters, and cursor pages in name order
+export const getDirectory = async (req, res) => {
+  try {
+    const { q, role, department, next } = req.query;
+    const limit = Math.min(Number(req.query.limit) || DIRECTORY_DEFAULT_LIMIT, DIRECTORY_MAX_LIMIT);
+
+    const viewer = await User.findOne({ clerkId: req.auth().userId }).select("role");
+    const isStaff = viewer?.role === "admin" || viewer?.role === "interviewer";
+
+    const filter = {};
+    const conditions = [];
+
+    const search = String(q ?? "").trim().toLowerCase().slice(0, 100);
+    if (search) {
+      // anchored and case-sensitive against lowercase fields, so the indexes can be used
+      const prefix = new RegExp(`^${escapeRegex(search)}`);
+      conditions.push(
+        isStaff ? { $or: [{ nameTerms: prefix }, { email: prefix }] } : { nameTerms: prefix }
+      );
+    }
+
+    // role=admin,interviewer matches either
+    if (role) {
+      const roles = String(role).split(",");
+      if (roles.some((r) => !ROLES.includes(r))) {
+        return res.status(400).json({ message: `role must be one of ${ROLES.join(", ")}` });
+      }
+      filter.role = { $in: roles };
+    }
+    if (department) filter.department = String(department);
+
+    if (next) {
+      const cursor = decodeCursor(String(next));
+      if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+      conditions.push({
+        $or: [
+          { nameKey: { $gt: cursor.nameKey } },
+          { nameKey: cursor.nameKey, _id: { $gt: cursor.id } },
+        ],
+      });
+    }
+    if (conditions.length) filter.$and = conditions;
+
+    // one extra user tells us whether there is another page
+    const users = await User.find(filter)
+      .sort({ nameKey: 1, _id: 1 })
+      .limit(limit + 1);
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
+
+    return res.status(200).json({
+      users: users.map((user) =>
+        isStaff ? { ...toPublicProfile(user), email: user.email } : toPublicProfile(user)
+      ),
+      next: hasMore ? encodeCursor(users[users.length - 1]) : null,
+    });
+  } catch (error) {
+    log.error("Error fetching user directory", { error });
+    res.status(500).json({ message: "Error fetching user directory" });
+  }
+};
@@ -0,0 +1,20 @@
+import { AuditLog } from "../models/AuditLog.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger({ module: "audit" });
+
+// best-effort like the reminder scheduling: a failed write is logged, the action still stands
+export const recordAudit = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    // a redelivered webhook or retried Inngest step was already recorded
+    if (error.code === 11000) return null;
+    log.error("Error writing audit log", { action: entry.action, error });
+    return null;
+  }
+};
+
+// an action taken through the API by the signed-in user
+export const auditRequest = (req, action, fields = {}) =>
+  recordAudit({ ...fields, action, actorId: req.auth().userId, source: "api", ip: req.ip });
@@ -0,0 +1,115 @@
+// turns weekly availability into bookable slots; Intl does the timezone math
+
+const MINUTE = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value);
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+};
+
+// how far the wall clock in timeZone is ahead of UTC at this instant
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// 09:00 on a calendar day in timeZone, as a real instant; the second pass settles DST changes
+const zonedTimeToUtc = (year, month, day, { hour, minute }, timeZone) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const firstGuess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+const zonedCalendarDay = (date, timeZone) => {
+  const [year, month, day] = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .format(date)
+    .split("-")
+    .map(Number);
+  return { year, month: month - 1, day };
+};
+
+export const validateWeeklyWindows = (windows) => {
+  if (!Array.isArray(windows)) return "Weekly availability must be a list";
+  for (const window of windows) {
+    if (!Number.isInteger(window.weekday) || window.weekday < 0 || window.weekday > 6) {
+      return "Each window needs a weekday from 0 (Sunday) to 6";
+    }
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (!start || !end) return "Times must look like 09:00";
+    if (start.hour * 60 + start.minute >= end.hour * 60 + end.minute) {
+      return "Each window must end after it starts";
+    }
+  }
+  return "";
+};
+
+// open slots between the minimum notice and the booking horizon. busy holds the
+// { startTime, endTime } the interviewer is already booked for, kept a buffer away from
+export const generateSlots = (availability, busy, now = new Date()) => {
+  const { timezone, weeklyWindows, slotMinutes, bufferMinutes, minNoticeHours, horizonDays } =
+    availability;
+  const slotMs = slotMinutes * MINUTE;
+  const bufferMs = bufferMinutes * MINUTE;
+  const earliest = now.getTime() + minNoticeHours * 60 * MINUTE;
+  const latest = now.getTime() + horizonDays * 24 * 60 * MINUTE;
+
+  const conflicts = (start, end) =>
+    busy.some(
+      (booking) =>
+        start < new Date(booking.endTime).getTime() + bufferMs &&
+        new Date(booking.startTime).getTime() < end + bufferMs
+    );
+
+  const slots = [];
+  const today = zonedCalendarDay(now, timezone);
+  for (let offset = 0; offset <= horizonDays; offset++) {
+    // plain calendar arithmetic, the timezone only matters once we pick times on the day
+    const date = new Date(Date.UTC(today.year, today.month, today.day + offset));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+
+    for (const window of weeklyWindows.filter((w) => w.weekday === date.getUTCDay())) {
+      const windowStart = zonedTimeToUtc(year, month, day, parseTime(window.start), timezone);
+      const windowEnd = zonedTimeToUtc(year, month, day, parseTime(window.end), timezone);
+
+      for (
+        let start = windowStart.getTime();
+        start + slotMs <= windowEnd.getTime();
+        start += slotMs + bufferMs
+      ) {
+        const end = start + slotMs;
+        if (start < earliest || start > latest || conflicts(start, end)) continue;
+        slots.push({ startTime: new Date(start), endTime: new Date(end) });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.startTime - b.startTime);
+};
@@ -0,0 +1,84 @@
+// just enough iCalendar (RFC 5545) to put interviews in people's calendars
+
+const PRODID = "-//Slap//Interviews//EN";
+
+// 20251103T094000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// parameter values with separators have to be quoted, and can't contain quotes
+const quoteParam = (value = "") => `"${String(value).replace(/"/g, "'")}"`;
+
+// lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, "utf8") <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// userId is the stored clerkId, so someone whose user record is gone still gets their own address
+const person = (name, key, userId, user) => {
+  const email = user?.email || `${user?.clerkId ?? userId}@users.invalid`;
+  return `${name};CN=${quoteParam(user?.name || email)}${key}:mailto:${email}`;
+};
+
+// users maps clerkId to { name, email } for the organizer and attendees
+export const interviewEvent = (interview, users, joinUrl) => {
+  const cancelled = interview.status === "cancelled";
+  const description = [interview.description, `Join the interview: ${joinUrl}`]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${interview._id}@slap`,
+    `SEQUENCE:${interview.sequence ?? 0}`,
+    `DTSTAMP:${formatDate(interview.updatedAt ?? new Date())}`,
+    `DTSTART:${formatDate(interview.startTime)}`,
+    `DTEND:${formatDate(interview.endTime)}`,
+    `SUMMARY:${escapeText(cancelled ? `Cancelled: ${interview.title}` : interview.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(joinUrl)}`,
+    `URL:${joinUrl}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    person("ORGANIZER", "", interview.createdBy, users.get(interview.createdBy)),
+    ...[interview.candidate, ...interview.interviewers].map((id) =>
+      person("ATTENDEE", ";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION", id, users.get(id))
+    ),
+    "END:VEVENT",
+  ];
+};
+
+// method is left out for subscription feeds; single invites send REQUEST or CANCEL so
+// calendars update the event they already have
+export const buildCalendar = (events, { name, method } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+
+// offline dev runs Inngest functions in this process instead of on an Inngest server.
+// definitions are the { opts, triggers, handler } each function was created from
+
+const log = createLogger({ module: "inngest-local" });
+
+export const createLocalRunner = (definitions) => {
+  const inFlight = new Set();
+
+  const toEvent = ({ id, name, data }) => ({
+    id: id ?? crypto.randomUUID(),
+    name,
+    data: data ?? {},
+    ts: Date.now(),
+  });
+
+  // just enough of the step API for our handlers: steps run once, straight through, and sleeps
+  // return at once so delayed work (like reminders) can be tried without waiting for it
+  const createStep = (functionId) => ({
+    run: async (_id, fn) => fn(),
+    sleep: async (id, duration) => log.debug("Skipping sleep", { functionId, step: id, duration }),
+    sleepUntil: async (id, time) =>
+      log.debug("Skipping sleep", { functionId, step: id, until: time }),
+    sendEvent: async (_id, payload) => send(payload),
+  });
+
+  const run = async (definition, event) => {
+    const functionId = definition.opts.id;
+    log.info("Running function", { functionId, event: event.name, eventId: event.id });
+    try {
+      return await definition.handler({ event, step: createStep(functionId), runId: event.id });
+    } catch (error) {
+      // no retries offline, so the failure handler runs straight away
+      log.error("Function failed", { functionId, event: event.name, eventId: event.id, error });
+      if (definition.opts.onFailure) {
+        await definition.opts.onFailure({
+          event: { data: { function_id: functionId, run_id: event.id, event, error } },
+          error,
+        });
+      }
+      throw error;
+    }
+  };
+
+  const track = (promise) => {
+    inFlight.add(promise);
+    promise.catch(() => {}).finally(() => inFlight.delete(promise));
+  };
+
+  // stands in for inngest.send: matching functions start in the background, like they would
+  // on Inngest; cancelOn is ignored since nothing is left sleeping to cancel
+  const send = async (payload) => {
+    const events = [].concat(payload).map(toEvent);
+    for (const event of events) {
+      for (const definition of definitions) {
+        if (definition.triggers.some((trigger) => trigger.event === event.name)) {
+          track(run(definition, event));
+        }
+      }
+    }
+    return { ids: events.map((event) => event.id) };
+  };
+
+  // run one function and wait for its result; without a name the event is its first trigger
+  const invoke = async (functionId, { name, data } = {}) => {
+    const definition = definitions.find((d) => d.opts.id === functionId);
+    if (!definition) throw new Error(`No Inngest function with id ${functionId}`);
+
+    const eventName = name ?? definition.triggers.find((t) => t.event)?.event ?? "local/invoke";
+    return run(definition, toEvent({ name: eventName, data }));
+  };
+
+  // wait for everything send started, e.g. before checking what a test request caused
+  const settle = async () => {
+    while (inFlight.size) await Promise.allSettled([...inFlight]);
+  };
+
+  return {
+    send,
+    invoke,
+    settle,
+    functions: definitions.map(({ opts, triggers }) => ({ id: opts.id, triggers })),
+  };
+};
@@ -0,0 +1,56 @@
+import { AsyncLocalStorage } from "async_hooks";
+import * as Sentry from "@sentry/node";
+import { ENV } from "../config/env.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// an invalid LOG_LEVEL is reported at startup; log at info until then
+const minLevel = LEVELS[ENV.LOG_LEVEL] ?? LEVELS.info;
+
+// { requestId, userId } of the request being handled; empty in Inngest functions and at startup
+const requestContext = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+export const getRequestContext = () => requestContext.getStore();
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status,
+  stack: error.stack,
+});
+
+// the Sentry trace the line was written in, so a Sentry event leads to its logs and back
+const currentTraceId = () => Sentry.getActiveSpan()?.spanContext().traceId;
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < minLevel) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: context?.requestId,
+    userId: context?.userId,
+    traceId: currentTraceId(),
+    ...fields,
+  };
+  if (fields.error instanceof Error) entry.error = serializeError(fields.error);
+
+  // one JSON object per line; undefined fields are left out
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + "\n");
+};
+
+// logger.info("Stream user upserted", { userId }); pass errors as { error }
+export const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write("debug", msg, { ...bindings, ...fields }),
+  info: (msg, fields) => write("info", msg, { ...bindings, ...fields }),
+  warn: (msg, fields) => write("warn", msg, { ...bindings, ...fields }),
+  error: (msg, fields) => write("error", msg, { ...bindings, ...fields }),
+  // a logger that adds the same fields to every line, e.g. { module: "stream" }
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+export const logger = createLogger();
@@ -0,0 +1,116 @@
+// the profile fields people edit themselves, and how a user looks to Stream and to other users
+
+const TEXT_FIELDS = { title: 80, department: 80, pronouns: 30 };
+const STATUS_TEXT_MAX = 100;
+const STATUS_EMOJI_MAX = 16;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// the custom status while it's still showing, otherwise null
+export const activeStatus = (user, now = new Date()) => {
+  const { emoji, text, expiresAt } = user.status ?? {};
+  if (!emoji && !text) return null;
+  if (expiresAt && expiresAt <= now) return null;
+  return { emoji: emoji || "", text: text || "", expiresAt: expiresAt ?? null };
+};
+
+// Stream replaces a user's custom fields on every upsert, so each sync sends the whole profile;
+// empty fields are left out rather than sent as blanks
+export const toStreamUser = (user) => {
+  const status = activeStatus(user);
+  return {
+    id: user.clerkId.toString(),
+    name: user.name,
+    image: user.image,
+    title: user.title || undefined,
+    department: user.department || undefined,
+    timezone: user.timezone || undefined,
+    pronouns: user.pronouns || undefined,
+    status_emoji: status?.emoji || undefined,
+    status_text: status?.text || undefined,
+    status_expires_at: status?.expiresAt?.toISOString(),
+  };
+};
+
+// what any signed-in user can see about someone
+export const toPublicProfile = (user) => ({
+  id: user.clerkId,
+  name: user.name,
+  image: user.image,
+  role: user.role,
+  title: user.title ?? null,
+  department: user.department ?? null,
+  timezone: user.timezone ?? null,
+  pronouns: user.pronouns ?? null,
+  status: activeStatus(user),
+});
+
+// turns a PATCH body into a Mongo update; null or "" clears a field, missing fields stay as they are
+export const buildProfileUpdate = (body, now = new Date()) => {
+  const $set = {};
+  const $unset = {};
+
+  for (const [field, max] of Object.entries(TEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== "string") return { error: `${field} must be text` };
+    const trimmed = value?.trim();
+    if (!trimmed) {
+      $unset[field] = 1;
+    } else if (trimmed.length > max) {
+      return { error: `${field} can be up to ${max} characters` };
+    } else {
+      $set[field] = trimmed;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!body.timezone) {
+      $unset.timezone = 1;
+    } else if (typeof body.timezone !== "string" || !isValidTimeZone(body.timezone)) {
+      return { error: "Invalid timezone" };
+    } else {
+      $set.timezone = body.timezone;
+    }
+  }
+
+  if (body.status !== undefined) {
+    const { emoji, text, expiresAt } = body.status ?? {};
+    if ((emoji != null && typeof emoji !== "string") || (text != null && typeof text !== "string")) {
+      return { error: "Status emoji and text must be text" };
+    }
+    const trimmedText = text?.trim();
+    if (!emoji && !trimmedText) {
+      $unset.status = 1;
+    } else {
+      if (trimmedText?.length > STATUS_TEXT_MAX) {
+        return { error: `Status can be up to ${STATUS_TEXT_MAX} characters` };
+      }
+      if (emoji?.length > STATUS_EMOJI_MAX) return { error: "Status emoji is too long" };
+
+      let expiry = null;
+      if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (Number.isNaN(expiry.getTime())) return { error: "Invalid status expiry" };
+        if (expiry <= now) return { error: "Status expiry must be in the future" };
+      }
+      $set.status = {
+        emoji: emoji || undefined,
+        text: trimmedText || undefined,
+        expiresAt: expiry ?? undefined,
+      };
+    }
+  }
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  return { update };
+};
@@ -0,0 +1,62 @@
+import { RateLimitBucket } from "../models/RateLimitBucket.js";
+
+// fixed windows: every client gets a fresh budget at the start of each window
+const windowFor = (windowMs, now = Date.now()) => {
+  const start = now - (now % windowMs);
+  return { start, resetAt: new Date(start + windowMs) };
+};
+
+// each store counts one hit and returns { count, resetAt } for the current window
+
+// per process, fine for local dev and a single instance
+export const createMemoryStore = () => {
+  const buckets = new Map();
+
+  // drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt.getTime() <= now) buckets.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const { start, resetAt } = windowFor(windowMs);
+      const bucketKey = `${key}:${start}`;
+
+      const bucket = buckets.get(bucketKey) ?? { count: 0, resetAt };
+      bucket.count += 1;
+      buckets.set(bucketKey, bucket);
+
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+  };
+};
+
+// shared through Mongo, so the budget holds across instances
+export const createMongoStore = () => ({
+  increment: async (key, windowMs) => {
+    const { start, resetAt } = windowFor(windowMs);
+    const bucketKey = `${key}:${start}`;
+
+    const hit = () =>
+      RateLimitBucket.findOneAndUpdate(
+        { key: bucketKey },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true }
+      );
+
+    let bucket;
+    try {
+      bucket = await hit();
+    } catch (error) {
+      // two first hits raced to create the bucket; the second one can now just increment it
+      if (error.code !== 11000) throw error;
+      bucket = await hit();
+    }
+
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  },
+});
@@ -1,8 +1,50 @@
-
+import { User } from "../models/User.js";
+import { GuestInvite } from "../models/GuestInvite.js";
+import { hashInviteToken } from "../controllers/invite.controller.js";
+import { logger } from "../lib/logger.js";
 
 export const protectRoute=(req,res,next)=>{
   if(!req.auth().isAuthenticated){
     return res.status(401).json({message:"Unauthorized"});
   }
   next();
-}
\ No newline at end of file
+}
+
+// use after protectRoute, e.g. requireRole("admin","interviewer")
+export const requireRole=(...roles)=>async(req,res,next)=>{
+  try{
+    const user=await User.findOne({clerkId:req.auth().userId});
+    if(!user || !roles.includes(user.role)){
+      return res.status(403).json({message:"Forbidden"});
+    }
+    req.user=user;
+    next();
+  }catch(error){
+    logger.error("Error checking user role",{module:"auth",error});
+    res.status(500).json({message:"Error checking user role"});
+  }
+}
+
+// guest routes: the session token handed out when the invite link was opened, in X-Guest-Session.
+// Sets req.guestInvite for as long as the guest session lasts
+export const protectGuest=async(req,res,next)=>{
+  try{
+    const token=req.get("x-guest-session");
+    if(!token){
+      return res.status(401).json({message:"Unauthorized"});
+    }
+    const invite=await GuestInvite.findOne({
+      sessionTokenHash:hashInviteToken(token),
+      revokedAt:{$exists:false},
+      guestExpiresAt:{$gt:new Date()},
+    });
+    if(!invite){
+      return res.status(401).json({message:"Your guest session has ended"});
+    }
+    req.guestInvite=invite;
+    next();
+  }catch(error){
+    logger.error("Error checking guest session",{module:"auth",error});
+    res.status(500).json({message:"Error checking guest session"});
+  }
+}
@@ -0,0 +1,9 @@
+// offline dev stand-in for clerkMiddleware: whoever the X-Dev-User-Id header names is signed in,
+// e.g. curl -H "X-Dev-User-Id: user_alice" localhost:5001/api/chat/token
+// env.js refuses to start with DEV_OFFLINE in production, so this never sees real traffic
+export const devAuth=(req,res,next)=>{
+  const userId=req.get("x-dev-user-id") || null;
+  const auth={userId,isAuthenticated:!!userId,sessionId:userId ? `dev_session_${userId}` : null};
+  req.auth=()=>auth;
+  next();
+}
@@ -0,0 +1,45 @@
+import { RATE_LIMITS, RATE_LIMIT_STORE } from "../config/rateLimits.js";
+import { createMemoryStore, createMongoStore } from "../lib/rateLimitStores.js";
+import { createLogger } from "../lib/logger.js";
+
+const log=createLogger({module:"rate-limit"});
+
+const store=RATE_LIMIT_STORE==="mongo" ? createMongoStore() : createMemoryStore();
+
+// signed-in users get their own budget wherever they connect from; everyone else shares one per IP
+const clientKey=(req)=>{
+  const userId=req.auth?.().userId;
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+}
+
+// e.g. router.get("/token",protectRoute,rateLimit("chatToken"),getStreamToken)
+export const rateLimit=(budgetName)=>{
+  const budget=RATE_LIMITS[budgetName];
+  if(!budget) throw new Error(`Unknown rate limit budget: ${budgetName}`);
+  const {limit,windowMs}=budget;
+
+  return async(req,res,next)=>{
+    let hit;
+    try{
+      hit=await store.increment(`${budgetName}:${clientKey(req)}`,windowMs);
+    }catch(error){
+      // better to serve the request than to fail every request while the store is down
+      log.error("Error checking rate limit",{budget:budgetName,error});
+      return next();
+    }
+
+    const resetSeconds=Math.max(0,Math.ceil((hit.resetAt.getTime()-Date.now())/1000));
+    res.set({
+      "RateLimit-Policy":`${limit};w=${Math.round(windowMs/1000)}`,
+      "RateLimit-Limit":String(limit),
+      "RateLimit-Remaining":String(Math.max(0,limit-hit.count)),
+      "RateLimit-Reset":String(resetSeconds),
+    });
+
+    if(hit.count>limit){
+      res.set("Retry-After",String(resetSeconds));
+      return res.status(429).json({message:"Too many requests, try again later"});
+    }
+    next();
+  }
+}
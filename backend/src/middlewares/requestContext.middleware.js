@@ -0,0 +1,42 @@
+import crypto from "crypto";
+import * as Sentry from "@sentry/node";
+import { getRequestContext, logger, runWithRequestContext } from "../lib/logger.js";
+
+// keep an id set upstream (a proxy or the client) so one request can be followed across hops
+const REQUEST_ID_PATTERN=/^[\w.:-]{1,128}$/;
+
+// first middleware: every log line and Sentry event for the request carries its id
+export const requestContext=(req,res,next)=>{
+  const incoming=req.get("x-request-id");
+  const requestId=incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const context={requestId};
+
+  req.id=requestId;
+  res.set("X-Request-Id",requestId);
+  Sentry.setTag("request_id",requestId);
+
+  const startedAt=process.hrtime.bigint();
+  // "finish" fires outside the request's async context, so pass the ids along explicitly
+  res.on("finish",()=>{
+    logger.info("Request completed",{
+      ...context,
+      method:req.method,
+      path:req.originalUrl.split("?")[0],
+      status:res.statusCode,
+      durationMs:Number(process.hrtime.bigint()-startedAt)/1e6,
+    });
+  });
+
+  runWithRequestContext(context,next);
+}
+
+// after the auth middleware, once we know who is asking
+export const identifyRequestUser=(req,res,next)=>{
+  const userId=req.auth?.().userId;
+  if(userId){
+    const context=getRequestContext();
+    if(context) context.userId=userId;
+    Sentry.setUser({id:userId});
+  }
+  next();
+}
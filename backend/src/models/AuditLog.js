@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+export const AUDIT_SOURCES = ["api", "stream", "clerk"];
+
+// one privileged action; entries are only ever inserted, never changed or removed
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. channel.created, member.removed, user.deleted
+    action: {
+      type: String,
+      required: true,
+    },
+    // clerkId of whoever did it; empty when the source doesn't say, e.g. a Clerk dashboard delete
+    actorId: String,
+    source: {
+      type: String,
+      enum: AUDIT_SOURCES,
+      required: true,
+    },
+    // what the action was done to, e.g. "user" and a clerkId
+    targetType: String,
+    targetId: String,
+    channelId: String,
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: String,
+    // webhook or Inngest event the entry came from, so a redelivery isn't recorded twice
+    sourceEventId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ occurredAt: -1 });
+auditLogSchema.index({ action: 1, occurredAt: -1 });
+auditLogSchema.index({ actorId: 1, occurredAt: -1 });
+auditLogSchema.index({ targetId: 1, occurredAt: -1 });
+auditLogSchema.index({ channelId: 1, occurredAt: -1 });
+
+const rejectChange = () => {
+  throw new Error("Audit log entries can't be changed or deleted");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  rejectChange
+);
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
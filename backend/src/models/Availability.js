@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const weeklyWindowSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday, like Date#getDay
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true,
+    },
+    // "HH:mm" wall-clock times in the availability's timezone
+    start: {
+      type: String,
+      required: true,
+    },
+    end: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// an interviewer's published weekly hours that candidates can book interviews into
+const availabilitySchema = new mongoose.Schema(
+  {
+    // clerkId of the interviewer
+    interviewer: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // public id in the /book/:slug link
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    title: {
+      type: String,
+      default: "Interview",
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    weeklyWindows: {
+      type: [weeklyWindowSchema],
+      default: [],
+    },
+    slotMinutes: {
+      type: Number,
+      min: 15,
+      max: 240,
+      default: 60,
+    },
+    // kept free before and after every interview
+    bufferMinutes: {
+      type: Number,
+      min: 0,
+      max: 120,
+      default: 15,
+    },
+    minNoticeHours: {
+      type: Number,
+      min: 0,
+      default: 24,
+    },
+    horizonDays: {
+      type: Number,
+      min: 1,
+      max: 60,
+      default: 14,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // held while a booking is checked and written, so two can't take the same time
+    bookingLockedUntil: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Availability = mongoose.model("Availability", availabilitySchema);
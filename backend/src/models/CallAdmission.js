@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// a participant's place in a call's lobby: interview candidates, and guests from invite links
+const callAdmissionSchema = new mongoose.Schema(
+  {
+    callId: {
+      type: String,
+      required: true,
+    },
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Interview",
+    },
+    // clerkId of the participant waiting to get in, or a guest's Stream id
+    userId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "admitted", "denied"],
+      default: "waiting",
+    },
+    // refreshed while the lobby screen is open, so hosts only see people still there
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      type: String,
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+callAdmissionSchema.index({ callId: 1, userId: 1 }, { unique: true });
+callAdmissionSchema.index({ callId: 1, status: 1 });
+
+export const CallAdmission = mongoose.model("CallAdmission", callAdmissionSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// a single-use link that lets someone without an account into one channel and call
+const guestInviteSchema = new mongoose.Schema(
+  {
+    // sha256 of the token in the link; the token itself is only shown once, when created
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    channelId: {
+      type: String,
+      required: true,
+    },
+    callId: {
+      type: String,
+      required: true,
+    },
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Interview",
+    },
+    // clerkId of the interviewer who created the link
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    revokedAt: Date,
+    // the Stream user created when the link was opened
+    guestUserId: String,
+    guestName: String,
+    guestExpiresAt: Date,
+    // sha256 of the session token the guest page sends with its lobby and chat requests
+    sessionTokenHash: String,
+    // set by the cleanup job once the guest's Stream user is deleted
+    guestRemovedAt: Date,
+  },
+  { timestamps: true }
+);
+
+guestInviteSchema.index({ channelId: 1, createdAt: -1 });
+guestInviteSchema.index({ guestUserId: 1, guestRemovedAt: 1 });
+guestInviteSchema.index({ sessionTokenHash: 1 }, { unique: true, sparse: true });
+
+export const GuestInvite = mongoose.model("GuestInvite", guestInviteSchema);
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// participants are stored by their clerkId, which is also their Stream user id
+const interviewSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    candidate: {
+      type: String,
+      required: true,
+    },
+    interviewers: {
+      type: [String],
+      default: [],
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    channelId: {
+      type: String,
+      required: true,
+    },
+    callId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "in_progress", "completed", "cancelled"],
+      default: "scheduled",
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    // iCalendar SEQUENCE, so calendar clients replace the event instead of adding another
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const CALENDAR_FIELDS = [
+  "title",
+  "description",
+  "candidate",
+  "interviewers",
+  "startTime",
+  "endTime",
+  "status",
+];
+
+interviewSchema.pre("save", function () {
+  if (!this.isNew && CALENDAR_FIELDS.some((field) => this.isModified(field))) {
+    this.sequence += 1;
+  }
+});
+
+interviewSchema.index({ channelId: 1, startTime: 1 });
+interviewSchema.index({ candidate: 1, startTime: 1 });
+interviewSchema.index({ interviewers: 1, startTime: 1 });
+interviewSchema.index({ createdBy: 1, startTime: 1 });
+
+export const Interview = mongoose.model("Interview", interviewSchema);
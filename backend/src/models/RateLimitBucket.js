@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// request count for one client, budget and time window; shared by every API instance
+const rateLimitBucketSchema = new mongoose.Schema({
+  // budget name, client key and window start, e.g. "chatToken:user_123:1718000000000"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Mongo removes buckets once their window is over
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimitBucket = mongoose.model("RateLimitBucket", rateLimitBucketSchema);
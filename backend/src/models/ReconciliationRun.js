@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const membershipFixSchema = new mongoose.Schema(
+  {
+    channelId: String,
+    userIds: [String],
+  },
+  { _id: false }
+);
+
+// report of one reconcile-users Inngest run
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    trigger: {
+      type: String,
+      enum: ["cron", "manual"],
+      default: "cron",
+    },
+    // the Inngest run this report belongs to, so a failure handler finds its own report
+    inngestRunId: {
+      type: String,
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    mongoUsersChecked: {
+      type: Number,
+      default: 0,
+    },
+    streamUsersChecked: {
+      type: Number,
+      default: 0,
+    },
+    publicChannelsChecked: {
+      type: Number,
+      default: 0,
+    },
+    upsertedStreamUsers: {
+      type: [String],
+      default: [],
+    },
+    deletedStreamUsers: {
+      type: [String],
+      default: [],
+    },
+    addedMemberships: {
+      type: [membershipFixSchema],
+      default: [],
+    },
+    error: String,
+  },
+  { timestamps: true }
+);
+
+export const ReconciliationRun = mongoose.model("ReconciliationRun", reconciliationRunSchema);
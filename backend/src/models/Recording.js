@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// a finished call recording, reported by Stream's call.recording_ready webhook
+const recordingSchema = new mongoose.Schema(
+  {
+    callType: {
+      type: String,
+      required: true,
+    },
+    callId: {
+      type: String,
+      required: true,
+    },
+    // the channel the call belongs to: the interview's channel, or the channel id for ad-hoc calls
+    channelId: {
+      type: String,
+      required: true,
+    },
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Interview",
+    },
+    sessionId: String,
+    // Stream's file name, unique per recording. Its download url expires, so it isn't kept;
+    // playback asks Stream for a fresh one by call, session and file name
+    filename: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    startTime: Date,
+    endTime: Date,
+  },
+  { timestamps: true }
+);
+
+recordingSchema.index({ channelId: 1, startTime: -1 });
+
+export const Recording = mongoose.model("Recording", recordingSchema);
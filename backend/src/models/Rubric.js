@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const competencySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const rubricSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    competencies: {
+      type: [competencySchema],
+      validate: [(value) => value.length > 0, "A rubric needs at least one competency"],
+    },
+    ratingScale: {
+      min: { type: Number, default: 1 },
+      max: { type: Number, default: 4 },
+      // optional label per step, from min to max
+      labels: { type: [String], default: [] },
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// at most one default rubric, even when two first requests create it at the same time
+rubricSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+export const Rubric = mongoose.model("Rubric", rubricSchema);
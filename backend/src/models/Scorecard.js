@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+const ratingSchema = new mongoose.Schema(
+  {
+    competency: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const scorecardSchema = new mongoose.Schema(
+  {
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Interview",
+      required: true,
+    },
+    // clerkId of the interviewer who submitted it
+    interviewer: {
+      type: String,
+      required: true,
+    },
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rubric",
+      required: true,
+    },
+    ratings: {
+      type: [ratingSchema],
+      default: [],
+    },
+    recommendation: {
+      type: String,
+      enum: ["strong_hire", "hire", "no_hire", "strong_no_hire"],
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// one submission per interviewer per interview
+scorecardSchema.index({ interview: 1, interviewer: 1 }, { unique: true });
+
+export const Scorecard = mongoose.model("Scorecard", scorecardSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// chat activity received from the Stream webhook, flattened to the fields we query on
+const streamEventSchema = new mongoose.Schema(
+  {
+    // X-Webhook-Id header; Stream reuses it when it retries a delivery
+    webhookId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ["message", "member", "channel"],
+      required: true,
+    },
+    channelType: String,
+    channelId: String,
+    // who caused the event
+    userId: String,
+    // the member added or removed, for member.* events
+    memberId: String,
+    messageId: String,
+    parentMessageId: String,
+    text: String,
+    occurredAt: Date,
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+streamEventSchema.index({ channelId: 1, occurredAt: -1 });
+streamEventSchema.index({ type: 1, occurredAt: -1 });
+
+export const StreamEvent = mongoose.model("StreamEvent", streamEventSchema);
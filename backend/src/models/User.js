@@ -1,5 +1,7 @@
 import mongoose  from "mongoose";
 
+export const ROLES=["admin","interviewer","candidate"];
+
 const userSchema=new mongoose.Schema({
   email:{
     type: String,
@@ -17,8 +19,95 @@ const userSchema=new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
+  },
+  // synced from the Clerk user's public metadata
+  role:{
+    type: String,
+    enum: ROLES,
+    default: "candidate",
+  },
+  // Clerk's updated_at for the profile data we hold, so out-of-order webhooks can't roll it back
+  clerkUpdatedAt:{
+    type: Date,
+  },
+  // secret in the user's ICS subscription URL; rotating it cuts off old subscriptions
+  calendarToken:{
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // lowercase name the directory sorts by, and every word-start of it for prefix search
+  // ("ada lovelace" and "lovelace"); kept in step with name by the hooks below
+  nameKey:{
+    type: String,
+  },
+  nameTerms:{
+    type: [String],
+  },
+  // profile fields people edit themselves through PATCH /api/users/me
+  title:{
+    type: String,
+    trim: true,
+    maxlength: 80,
+  },
+  department:{
+    type: String,
+    trim: true,
+    maxlength: 80,
+  },
+  // IANA name, e.g. "Europe/Berlin", so others can see the person's local time
+  timezone:{
+    type: String,
+  },
+  pronouns:{
+    type: String,
+    trim: true,
+    maxlength: 30,
+  },
+  // custom status; once expiresAt passes it is hidden, and clear-expired-statuses removes it
+  status:{
+    emoji:{type: String, maxlength: 16},
+    text:{type: String, trim: true, maxlength: 100},
+    expiresAt: Date,
+  },
+  // progress of the Stream side of the sync-user Inngest function
+  provisioning:{
+    status:{
+      type: String,
+      enum: ["pending","completed","failed"],
+      default: "pending",
+    },
+    error: String,
+    failedAt: Date,
+    completedAt: Date,
   }
 
 },{timestamps:true});
 
+userSchema.index({"provisioning.status":1});
+userSchema.index({"status.expiresAt":1},{sparse:true});
+// the directory pages through users by name, optionally within one role or department
+userSchema.index({nameKey:1,_id:1});
+userSchema.index({role:1,nameKey:1,_id:1});
+userSchema.index({department:1,nameKey:1,_id:1});
+userSchema.index({nameTerms:1});
+
+export const directoryKeys=(name)=>{
+  const nameKey=name.trim().toLowerCase().replace(/\s+/g," ");
+  const words=nameKey.split(" ");
+  return {nameKey,nameTerms:words.map((_,i)=>words.slice(i).join(" ")).filter(Boolean)};
+}
+
+userSchema.pre("save",function(){
+  if(this.isModified("name")) Object.assign(this,directoryKeys(this.name));
+});
+
+// the Inngest functions write users with updateOne / findOneAndUpdate, which skip save hooks
+userSchema.pre(["updateOne","findOneAndUpdate"],function(){
+  const update=this.getUpdate();
+  for(const fields of [update?.$set,update?.$setOnInsert]){
+    if(typeof fields?.name==="string") Object.assign(fields,directoryKeys(fields.name));
+  }
+});
+
 export const User=mongoose.model('User',userSchema);
\ No newline at end of file
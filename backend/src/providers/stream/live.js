@@ -0,0 +1,253 @@
+import {StreamChat} from 'stream-chat';
+import {StreamClient} from '@stream-io/node-sdk';
+import { ENV } from '../../config/env.js';
+import { createLogger } from '../../lib/logger.js';
+
+const log=createLogger({module:"stream"});
+
+// the Stream provider used outside offline dev: every call goes to the Stream API
+
+let streamClient=null;
+// created on first use, so importing this module doesn't need Stream keys
+const getClient=()=>{
+  streamClient ??= StreamChat.getInstance(ENV.STREAM_API_KEY,ENV.STREAM_API_SECRET);
+  return streamClient;
+}
+
+// stream-chat has no video API, calls go through the node SDK
+let videoClient=null;
+const getVideoClient=()=>{
+  videoClient ??= new StreamClient(ENV.STREAM_API_KEY,ENV.STREAM_API_SECRET);
+  return videoClient;
+}
+
+export const upsertStreamUser= async(userData)=>{
+       try{
+           await getClient().upsertUser(userData);
+           log.info("Stream user upserted",{streamUserId:userData.id});
+           return userData;
+       }catch(error){
+        log.error("Error upserting Stream user",{streamUserId:userData.id,error});
+        throw error;
+       }
+
+}
+
+
+export const deleteStreamUser=async(userId)=>{
+  try{
+      await getClient().deleteUser(userId);
+      log.info("Stream user deleted",{streamUserId:userId});
+  }catch(error){
+      // already gone counts as deleted, so retries stay idempotent
+      if(error.status===404 || error.code===16){
+        log.info("Stream user already deleted",{streamUserId:userId});
+        return;
+      }
+      log.error("Error deleting Stream user",{streamUserId:userId,error});
+      throw error;
+  }
+}
+
+
+// exp (seconds since epoch) is optional; Clerk users get tokens that don't expire
+export const genrateStreamToken=(userId,exp)=>{
+  try{
+   const userIdString=userId.toString();
+   return getClient().createToken(userIdString,exp);
+  }catch(error){
+    log.error("Error generating Stream token",{streamUserId:userId,error});
+    return null;
+  }
+}
+
+export const addUserToPublicChannels = async (newUserId) => {
+  const limit = 30;
+
+  // page through every discoverable channel the user isn't in yet; addMembers is safe to repeat
+  for (let offset = 0; ; offset += limit) {
+    const publicChannels = await getClient().queryChannels(
+      { discoverable: true },
+      {},
+      { limit, offset, state: true }
+    );
+
+    for (const channel of publicChannels) {
+      if (!channel.state.members[newUserId]) await channel.addMembers([newUserId]);
+    }
+
+    if (publicChannels.length < limit) break;
+  }
+};
+
+export const isChannelMember = async (channelId, userId) => {
+  const channel = getClient().channel("messaging", channelId);
+  const { members } = await channel.queryMembers({ id: userId.toString() });
+  return members.length > 0;
+};
+
+export const addChannelMembers = async (channelId, userIds) => {
+  const channel = getClient().channel("messaging", channelId);
+  const ids = userIds.map((id) => id.toString());
+
+  // Stream accepts at most 100 members per call
+  for (let i = 0; i < ids.length; i += 100) {
+    await channel.addMembers(ids.slice(i, i + 100));
+  }
+};
+
+export const channelExists = async (channelId) => {
+  const channels = await getClient().queryChannels(
+    { id: channelId },
+    {},
+    { limit: 1, state: false, watch: false }
+  );
+  return channels.length > 0;
+};
+
+// Stream's create returns the existing channel when the id is taken, so callers should
+// compare created_by with the user they created it for
+export const createStreamChannel = async (channelId, channelData, createdById) => {
+  const channel = getClient().channel("messaging", channelId, {
+    ...channelData,
+    created_by_id: createdById.toString(),
+  });
+  const response = await channel.create();
+  return response.channel;
+};
+
+export const getStreamUsersByIds = async (userIds) => {
+  const { users } = await getClient().queryUsers(
+    { id: { $in: userIds.map((id) => id.toString()) } },
+    { id: 1 },
+    { limit: userIds.length }
+  );
+  return users;
+};
+
+// created_at cursor paging, since offset paging stops at 1000 users
+export const listStreamUsersCreatedAfter = async (createdAfter, limit = 100) => {
+  const { users } = await getClient().queryUsers(
+    { created_at: { $gt: createdAfter } },
+    { created_at: 1 },
+    { limit }
+  );
+  return users;
+};
+
+export const listPublicChannelIds = async (offset = 0, limit = 30) => {
+  const channels = await getClient().queryChannels(
+    { discoverable: true },
+    { created_at: 1 },
+    { limit, offset, state: false, watch: false }
+  );
+  return channels.map((channel) => channel.id);
+};
+
+export const findMissingChannelMembers = async (channelId, userIds) => {
+  const channel = getClient().channel("messaging", channelId);
+  const { members } = await channel.queryMembers(
+    { id: { $in: userIds.map((id) => id.toString()) } },
+    {},
+    { limit: userIds.length }
+  );
+  const memberIds = new Set(members.map((member) => member.user_id));
+  return userIds.filter((id) => !memberIds.has(id.toString()));
+};
+
+// Stream signs webhook bodies with an HMAC-SHA256 of the raw body, keyed by the API secret
+export const verifyStreamWebhook = (rawBody, signature) => {
+  if (!rawBody?.length || !signature) return false;
+  return getClient().verifyWebhook(rawBody, signature);
+};
+
+export const getChannelData = async (channelId) => {
+  const channel = getClient().channel("messaging", channelId);
+  const { channel: data, members } = await channel.query({ messages: { limit: 0 } });
+  return { ...data, members };
+};
+
+// yields a channel's top-level messages oldest first, a page at a time
+export async function* iterateChannelMessages(channelId, pageSize = 100) {
+  const channel = getClient().channel("messaging", channelId);
+  let pagination = { limit: pageSize, created_at_after_or_equal: new Date(0).toISOString() };
+
+  for (;;) {
+    const { messages } = await channel.query({ messages: pagination, state: false });
+    for (const message of messages) yield message;
+
+    if (messages.length < pageSize) return;
+    pagination = { limit: pageSize, id_gt: messages[messages.length - 1].id };
+  }
+}
+
+// the newest top-level messages, oldest first
+export const getRecentMessages = async (channelId, limit = 50) => {
+  const channel = getClient().channel("messaging", channelId);
+  const { messages } = await channel.query({ messages: { limit }, state: false });
+  return messages;
+};
+
+export async function* iterateMessageReplies(channelId, parentId, pageSize = 100) {
+  const channel = getClient().channel("messaging", channelId);
+  let pagination = { limit: pageSize };
+
+  for (;;) {
+    const { messages } = await channel.getReplies(parentId, pagination, [{ created_at: 1 }]);
+    for (const message of messages) yield message;
+
+    if (messages.length < pageSize) return;
+    pagination = { limit: pageSize, id_gt: messages[messages.length - 1].id };
+  }
+}
+
+export const searchMessages = async (channelFilter, messageFilter, options) => {
+  const { results, next } = await getClient().search(channelFilter, messageFilter, options);
+  return { messages: results.map((result) => result.message), next };
+};
+
+export const sendChannelMessage=async(channelId,text,userId)=>{
+  const channel=getClient().channel("messaging",channelId);
+  return channel.sendMessage({text,user_id:userId});
+};
+
+// a distinct channel between the two users, created the first time it's needed
+export const sendDirectMessage=async(toUserId,text,fromUserId)=>{
+  const channel=getClient().channel("messaging",{
+    members:[fromUserId,toUserId],
+    created_by_id:fromUserId,
+  });
+  await channel.create();
+  return channel.sendMessage({text,user_id:fromUserId});
+};
+
+// creates the call type, or brings an existing one's grants in line with ours
+export const ensureCallType = async (name, grants) => {
+  const { video } = getVideoClient();
+  try {
+    await video.getCallType({ name });
+  } catch (error) {
+    if (error.code !== 16 && error.code !== 404) throw error;
+    await video.createCallType({ name, grants });
+    log.info("Stream call type created", { callType: name });
+    return;
+  }
+  await video.updateCallType({ name, grants });
+};
+
+// creates the call if needed and makes the user a member with the given call role;
+// updating a member that is already there just sets the role again
+export const addCallMember = async (callType, callId, userId, role, createdById = userId) => {
+  const call = getVideoClient().video.call(callType, callId);
+  await call.getOrCreate({ data: { created_by_id: createdById.toString() } });
+  await call.updateCallMembers({ update_members: [{ user_id: userId.toString(), role }] });
+};
+
+// recording urls are signed and expire, so each playback looks the file up again
+export const getRecordingUrl = async (callType, callId, sessionId, filename) => {
+  const { recordings } = await getVideoClient().video.call(callType, callId).listRecordings();
+  const recording = recordings.find(
+    (r) => r.filename === filename && (!sessionId || r.session_id === sessionId)
+  );
+  return recording?.url ?? null;
+};
@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import { JWTUserToken } from "stream-chat";
+import { ENV } from "../../config/env.js";
+
+// the Stream provider for offline dev: users, channels and messages live in this process,
+// shaped like the Stream responses the callers read, and are gone on restart
+
+const users = new Map();
+const channels = new Map();
+// channel id => messages oldest first, thread replies included
+const messages = new Map();
+// "type:id" => { createdBy, members: user id => call role }
+const calls = new Map();
+
+const now = () => new Date().toISOString();
+
+const notFound = (what) => {
+  const error = new Error(`${what} not found`);
+  error.status = 404;
+  error.code = 16;
+  return error;
+};
+
+const findChannel = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel) throw notFound(`Channel ${channelId}`);
+  return channel;
+};
+
+const toMember = (channel, userId) => ({
+  user_id: userId,
+  user: users.get(userId) ?? { id: userId },
+  created_at: channel.memberSince.get(userId),
+});
+
+const toChannelResponse = (channel) => ({
+  ...channel.data,
+  id: channel.id,
+  type: "messaging",
+  cid: `messaging:${channel.id}`,
+  created_by: { id: channel.createdBy },
+  created_at: channel.createdAt,
+  member_count: channel.memberSince.size,
+});
+
+const addMembers = (channel, userIds) => {
+  for (const id of userIds) {
+    if (!channel.memberSince.has(id)) channel.memberSince.set(id, now());
+  }
+};
+
+const createChannel = (channelId, { members = [], created_by_id, ...data }) => {
+  const channel = {
+    id: channelId,
+    data,
+    createdBy: created_by_id,
+    createdAt: now(),
+    memberSince: new Map(),
+  };
+  addMembers(channel, members);
+  channels.set(channelId, channel);
+  messages.set(channelId, []);
+  return channel;
+};
+
+// like Stream, an upsert replaces the user's fields, so ones left out are removed
+export const upsertStreamUser = async (userData) => {
+  const existing = users.get(userData.id);
+  users.set(userData.id, { ...userData, created_at: existing?.created_at ?? now() });
+  return userData;
+};
+
+export const deleteStreamUser = async (userId) => {
+  // like Stream, deleting a user that is already gone is not an error
+  users.delete(userId);
+  for (const channel of channels.values()) channel.memberSince.delete(userId);
+};
+
+export const genrateStreamToken = (userId, exp) =>
+  JWTUserToken(ENV.STREAM_API_SECRET, userId.toString(), exp ? { exp } : {});
+
+export const addUserToPublicChannels = async (newUserId) => {
+  for (const channel of channels.values()) {
+    if (channel.data.discoverable) addMembers(channel, [newUserId]);
+  }
+};
+
+export const isChannelMember = async (channelId, userId) =>
+  !!channels.get(channelId)?.memberSince.has(userId.toString());
+
+export const addChannelMembers = async (channelId, userIds) => {
+  addMembers(findChannel(channelId), userIds.map((id) => id.toString()));
+};
+
+export const channelExists = async (channelId) => channels.has(channelId);
+
+// like Stream, creating an existing channel returns it unchanged
+export const createStreamChannel = async (channelId, channelData, createdById) => {
+  const channel =
+    channels.get(channelId) ??
+    createChannel(channelId, { ...channelData, created_by_id: createdById.toString() });
+  return toChannelResponse(channel);
+};
+
+export const getStreamUsersByIds = async (userIds) => {
+  const ids = new Set(userIds.map((id) => id.toString()));
+  return [...users.values()].filter((user) => ids.has(user.id));
+};
+
+export const listStreamUsersCreatedAfter = async (createdAfter, limit = 100) =>
+  [...users.values()]
+    .filter((user) => new Date(user.created_at) > new Date(createdAfter))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .slice(0, limit);
+
+export const listPublicChannelIds = async (offset = 0, limit = 30) =>
+  [...channels.values()]
+    .filter((channel) => channel.data.discoverable)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(offset, offset + limit)
+    .map((channel) => channel.id);
+
+export const findMissingChannelMembers = async (channelId, userIds) => {
+  const channel = findChannel(channelId);
+  return userIds.filter((id) => !channel.memberSince.has(id.toString()));
+};
+
+// same HMAC-SHA256 check Stream's client does, against the dev secret
+export const verifyStreamWebhook = (rawBody, signature) => {
+  if (!rawBody?.length || !signature) return false;
+  const expected = crypto.createHmac("sha256", ENV.STREAM_API_SECRET).update(rawBody).digest("hex");
+  return (
+    expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  );
+};
+
+export const getChannelData = async (channelId) => {
+  const channel = findChannel(channelId);
+  return {
+    ...toChannelResponse(channel),
+    members: [...channel.memberSince.keys()].map((id) => toMember(channel, id)),
+  };
+};
+
+// the generators in the live provider page through Stream; here everything is already in hand
+export async function* iterateChannelMessages(channelId) {
+  findChannel(channelId);
+  for (const message of messages.get(channelId)) {
+    if (!message.parent_id) yield message;
+  }
+}
+
+export const getRecentMessages = async (channelId, limit = 50) => {
+  findChannel(channelId);
+  return messages.get(channelId).filter((message) => !message.parent_id).slice(-limit);
+};
+
+export async function* iterateMessageReplies(channelId, parentId) {
+  findChannel(channelId);
+  for (const message of messages.get(channelId)) {
+    if (message.parent_id === parentId) yield message;
+  }
+}
+
+// covers the filter operators the search controller sends
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== "object") return value === condition;
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case "$eq":
+        return value === expected;
+      case "$in":
+        return [].concat(value).some((v) => expected.includes(v));
+      case "$exists": {
+        const present = Array.isArray(value) ? value.length > 0 : value != null;
+        return present === expected;
+      }
+      case "$autocomplete":
+      case "$q":
+        return String(value ?? "").toLowerCase().includes(String(expected).toLowerCase());
+      case "$gte":
+        return new Date(value) >= new Date(expected);
+      case "$lte":
+        return new Date(value) <= new Date(expected);
+      default:
+        throw new Error(`The offline Stream provider doesn't support ${op} filters`);
+    }
+  });
+};
+
+const matchesFilter = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) =>
+    matchesCondition(path.split(".").reduce((value, key) => value?.[key], doc), condition)
+  );
+
+export const searchMessages = async (channelFilter, messageFilter, { limit = 20, next } = {}) => {
+  const results = [];
+  for (const channel of channels.values()) {
+    const channelDoc = {
+      ...toChannelResponse(channel),
+      members: [...channel.memberSince.keys()],
+    };
+    if (!matchesFilter(channelDoc, channelFilter)) continue;
+
+    for (const message of messages.get(channel.id)) {
+      if (matchesFilter(message, messageFilter)) {
+        results.push({ ...message, channel: toChannelResponse(channel) });
+      }
+    }
+  }
+
+  // newest first, and "next" is just the offset of the following page
+  results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const offset = Number(next) || 0;
+  const page = results.slice(offset, offset + limit);
+  return {
+    messages: page,
+    next: offset + limit < results.length ? String(offset + limit) : undefined,
+  };
+};
+
+export const sendChannelMessage = async (channelId, text, userId) => {
+  findChannel(channelId);
+  const message = {
+    id: crypto.randomUUID(),
+    type: "regular",
+    text,
+    user: users.get(userId) ?? { id: userId },
+    attachments: [],
+    reply_count: 0,
+    created_at: now(),
+    updated_at: now(),
+  };
+  messages.get(channelId).push(message);
+  return { message };
+};
+
+// Stream names distinct channels after their members; any stable id will do here
+export const sendDirectMessage = async (toUserId, text, fromUserId) => {
+  const channelId = `!members-${[fromUserId, toUserId].sort().join("-")}`;
+  if (!channels.has(channelId)) {
+    createChannel(channelId, { members: [fromUserId, toUserId], created_by_id: fromUserId });
+  }
+  return sendChannelMessage(channelId, text, fromUserId);
+};
+
+// nothing to configure offline; calls only exist here as member lists
+export const ensureCallType = async () => {};
+
+export const addCallMember = async (callType, callId, userId, role, createdById = userId) => {
+  const cid = `${callType}:${callId}`;
+  if (!calls.has(cid)) calls.set(cid, { createdBy: createdById.toString(), members: new Map() });
+  calls.get(cid).members.set(userId.toString(), role);
+};
+
+// nothing is ever recorded offline, so there's no file to hand out
+export const getRecordingUrl = async () => null;
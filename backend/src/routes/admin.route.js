@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getConfig,
+  getFailedProvisioning,
+  getReconciliationRun,
+  getReconciliationRuns,
+  retryProvisioning,
+  triggerReconciliation,
+} from '../controllers/admin.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+
+const router=express.Router();
+
+router.use(protectRoute,requireRole("admin"));
+
+router.get("/provisioning/failed",getFailedProvisioning);
+router.post("/provisioning/:clerkId/retry",retryProvisioning);
+
+router.get("/reconciliation-runs",getReconciliationRuns);
+router.post("/reconciliation-runs",triggerReconciliation);
+router.get("/reconciliation-runs/:id",getReconciliationRun);
+
+router.get("/config",getConfig);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import {getAuditLogs} from '../controllers/audit.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+
+const router=express.Router();
+
+router.get("/",protectRoute,requireRole("admin"),getAuditLogs);
+
+export default router;
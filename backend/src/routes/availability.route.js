@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  bookSlot,
+  getBookingPage,
+  getMyAvailability,
+  updateMyAvailability,
+} from '../controllers/availability.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.get("/me",protectRoute,requireRole("admin","interviewer"),getMyAvailability);
+router.put("/me",protectRoute,requireRole("admin","interviewer"),updateMyAvailability);
+router.get("/:slug",rateLimit("bookingPage"),getBookingPage);
+router.post("/:slug/book",protectRoute,rateLimit("booking"),bookSlot);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import {getCalendarFeed,getCalendarFeedUrl,rotateCalendarFeedUrl} from '../controllers/calendar.controller.js';
+import {protectRoute} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.get("/feed-url",protectRoute,getCalendarFeedUrl);
+router.post("/feed-url/rotate",protectRoute,rotateCalendarFeedUrl);
+router.get("/feed/:file",rateLimit("calendarFeed"),getCalendarFeed);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  admitParticipant,
+  authorizeCall,
+  denyParticipant,
+  enterLobby,
+  getLobby,
+} from '../controllers/call.controller.js';
+import {protectRoute} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.post("/:callId/authorize",protectRoute,rateLimit("callToken"),authorizeCall);
+router.get("/:callId/lobby",protectRoute,getLobby);
+router.post("/:callId/lobby",protectRoute,enterLobby);
+router.post("/:callId/lobby/:userId/admit",protectRoute,admitParticipant);
+router.post("/:callId/lobby/:userId/deny",protectRoute,denyParticipant);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import {addMembers,createChannel,exportChannel,getChannelRecordings,getRecordingPlaybackUrl} from '../controllers/channel.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.post("/",protectRoute,requireRole("admin","interviewer"),createChannel);
+router.post("/:id/members",protectRoute,requireRole("admin","interviewer"),addMembers);
+router.get("/:id/export",protectRoute,rateLimit("export"),exportChannel);
+router.get("/:id/recordings",protectRoute,requireRole("admin","interviewer"),getChannelRecordings);
+router.get("/:id/recordings/:recordingId/url",protectRoute,requireRole("admin","interviewer"),getRecordingPlaybackUrl);
+
+export default router;
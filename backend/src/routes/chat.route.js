@@ -1,9 +1,11 @@
 import express from 'express';
-import {getStreamToken} from '../controllers/chat.controller.js';
+import {getGuestToken,getStreamToken} from '../controllers/chat.controller.js';
 import {protectRoute} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
 
 const router=express.Router();
 
-router.get("/token",protectRoute,getStreamToken);
+router.get("/token",protectRoute,rateLimit("chatToken"),getStreamToken);
+router.post("/guest-token",rateLimit("guestToken"),getGuestToken);
 
-export default router;
\ No newline at end of file
+export default router;
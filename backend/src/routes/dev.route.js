@@ -0,0 +1,11 @@
+import express from 'express';
+import {invokeInngestFunction,listInngestFunctions,sendInngestEvent} from '../controllers/dev.controller.js';
+
+// only mounted with DEV_OFFLINE, where it replaces the Inngest dev server; no auth on purpose
+const router=express.Router();
+
+router.get("/inngest/functions",listInngestFunctions);
+router.post("/inngest/functions/:id/invoke",invokeInngestFunction);
+router.post("/inngest/events",sendInngestEvent);
+
+export default router;
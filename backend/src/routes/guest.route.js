@@ -0,0 +1,13 @@
+import express from 'express';
+import {getGuestMessages,sendGuestMessage} from '../controllers/chat.controller.js';
+import {enterGuestLobby} from '../controllers/call.controller.js';
+import {protectGuest} from '../middlewares/auth.middleware.js';
+
+// everything a guest from an invite link can do, scoped to the invite's channel and call
+const router=express.Router();
+
+router.get("/messages",protectGuest,getGuestMessages);
+router.post("/messages",protectGuest,sendGuestMessage);
+router.post("/lobby",protectGuest,enterGuestLobby);
+
+export default router;
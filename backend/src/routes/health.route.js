@@ -0,0 +1,10 @@
+import express from 'express';
+import {getHealth,getReadiness} from '../controllers/health.controller.js';
+
+// unauthenticated on purpose, for load balancers and uptime checks
+const router=express.Router();
+
+router.get("/health",getHealth);
+router.get("/ready",getReadiness);
+
+export default router;
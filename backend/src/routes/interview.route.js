@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  createInterview,
+  deleteInterview,
+  getInterview,
+  getInterviewInvite,
+  getInterviews,
+  updateInterview,
+} from '../controllers/interview.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+
+const router=express.Router();
+
+router.get("/",protectRoute,getInterviews);
+router.post("/",protectRoute,requireRole("admin","interviewer"),createInterview);
+router.get("/:id",protectRoute,getInterview);
+router.get("/:id/ics",protectRoute,getInterviewInvite);
+router.patch("/:id",protectRoute,requireRole("admin","interviewer"),updateInterview);
+router.delete("/:id",protectRoute,requireRole("admin","interviewer"),deleteInterview);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import {createGuestInvite,getGuestInvites,revokeGuestInvite} from '../controllers/invite.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.use(protectRoute,requireRole("admin","interviewer"));
+
+router.get("/",getGuestInvites);
+router.post("/",rateLimit("inviteCreate"),createGuestInvite);
+router.delete("/:id",revokeGuestInvite);
+
+export default router;
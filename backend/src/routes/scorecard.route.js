@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  createRubric,
+  getInterviewScorecards,
+  getRubrics,
+  submitScorecard,
+} from '../controllers/scorecard.controller.js';
+import {protectRoute,requireRole} from '../middlewares/auth.middleware.js';
+
+const router=express.Router();
+
+router.get("/rubrics",protectRoute,getRubrics);
+router.post("/rubrics",protectRoute,requireRole("admin"),createRubric);
+router.get("/interview/:interviewId",protectRoute,getInterviewScorecards);
+router.post("/interview/:interviewId",protectRoute,submitScorecard);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import {searchChannelMessages} from '../controllers/search.controller.js';
+import {protectRoute} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.get("/messages",protectRoute,rateLimit("search"),searchChannelMessages);
+
+export default router;
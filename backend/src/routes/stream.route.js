@@ -0,0 +1,9 @@
+import express from 'express';
+import {handleStreamWebhook} from '../controllers/stream.controller.js';
+
+const router=express.Router();
+
+// signature verification needs the exact bytes Stream signed, so no JSON parsing here
+router.post("/webhook",express.raw({type:"*/*"}),handleStreamWebhook);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import {getDirectory,getMyProfile,getUserProfile,updateMyProfile} from '../controllers/user.controller.js';
+import {protectRoute} from '../middlewares/auth.middleware.js';
+import {rateLimit} from '../middlewares/rateLimit.middleware.js';
+
+const router=express.Router();
+
+router.get("/",protectRoute,rateLimit("directory"),getDirectory);
+router.get("/me",protectRoute,getMyProfile);
+router.patch("/me",protectRoute,updateMyProfile);
+router.get("/:id",protectRoute,getUserProfile);
+
+export default router;
@@ -1,47 +1,26 @@
 import '../instrument.mjs'; // Sentry instrumentation must be the first import
-import express from 'express';
-import { ENV } from './config/env.js';
+import { CONFIG_PROBLEMS, ENV, formatConfigReport } from './config/env.js';
 import { connectDB } from './config/db.js';
-import {clerkMiddleware} from '@clerk/express';
-import { serve } from "inngest/express";
-import { functions,inngest } from './config/inngest.js';
-import chatRoutes from './routes/chat.route.js';
-import * as Sentry from "@sentry/node";
-import cors from 'cors';
-const app = express();
-
-app.use(express.json()); // allow parsing JSON request bodies
-app.use(cors({origin:ENV.CLIENT_URL,credentials:true})); // enable CORS for all origins
-app.use(clerkMiddleware());
-app.get('/',(req,res)=>{
-  res.send('Hello World!');
-})
-app.get('/debug-sentry',(req,res)=>{
-  throw new Error("Sentry is working!");
-});
-// Set up the "/api/inngest" (recommended) routes with the serve handler
-app.use("/api/inngest", serve({ client: inngest, functions }));
-app.use("/api/chat",chatRoutes);
-Sentry.setupExpressErrorHandler(app);
-
-
-
-
+import {logger} from './lib/logger.js';
+import app from './app.js';
 
 const startServer=async()=>{
+  // meant to be read by a person in the terminal or deploy log, so not a JSON log line
+  if(CONFIG_PROBLEMS.length){
+    console.error(formatConfigReport(CONFIG_PROBLEMS));
+    process.exit(1);
+  }
   try{
-    if(ENV.NODE_ENV !=="production"){
     await connectDB();
+    // on Vercel the platform imports the app and handles listening
+    if(ENV.SERVERLESS) return;
     app.listen(ENV.PORT,()=>{
-  console.log(`Server is running on port http://localhost:${ENV.PORT}`);
+  logger.info("Server is running",{url:`http://localhost:${ENV.PORT}`});
 })
-    }
   }catch(error){
-     console.error("Error starting server:",error);
+     logger.error("Error starting server",{error});
       process.exit(1);
   }
 }
 startServer();
 export default app;
-
-
@@ -0,0 +1,13 @@
+// Shared setup for the backend tests: they run against offline dev mode (in-memory Stream
+// and Inngest), with MongoDB from mongodb-memory-server.
+
+process.env.DEV_OFFLINE = "true";
+process.env.LOG_LEVEL ??= "error";
+delete process.env.MONGO_URI;
+
+// tests that need MongoDB are skipped, with a reason, until `npm run setup:offline` has run
+export const mongoSkipReason = async () => {
+  const { DryMongoBinary } = await import("mongodb-memory-server");
+  const binary = await DryMongoBinary.locateBinary(DryMongoBinary.getEnsuredOptions());
+  return binary ? false : "no mongod binary, run `npm run setup:offline` first";
+};
@@ -0,0 +1,74 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import { mongoSkipReason } from "./helpers.js";
+
+const skip = await mongoSkipReason();
+
+const { ENV } = await import("../src/config/env.js");
+const { connectDB, disconnectDB } = await import("../src/config/db.js");
+const { localInngest } = await import("../src/config/inngest.js");
+const { StreamEvent } = await import("../src/models/StreamEvent.js");
+// the whole app rather than just the route, so the raw body must still reach the webhook
+// ahead of express.json
+const { default: app } = await import("../src/app.js");
+
+const payload = (type) =>
+  fs.readFileSync(new URL(`../scripts/stream-webhook-payloads/${type}.json`, import.meta.url));
+
+const sign = (body) =>
+  crypto.createHmac("sha256", ENV.STREAM_API_SECRET).update(body).digest("hex");
+
+let server;
+let url;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://localhost:${server.address().port}/api/stream/webhook`;
+  if (!skip) await connectDB();
+});
+
+after(async () => {
+  server.close();
+  if (!skip) await disconnectDB();
+});
+
+const deliver = (body, headers = {}) =>
+  fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body });
+
+test("a delivery without a signature is rejected", async () => {
+  const response = await deliver(payload("message.new"));
+  assert.equal(response.status, 401);
+});
+
+test("a delivery with a wrong signature is rejected", async () => {
+  const body = payload("message.new");
+  const response = await deliver(body, { "X-Signature": sign(Buffer.concat([body, Buffer.from(" ")])) });
+  assert.equal(response.status, 401);
+});
+
+test("a correctly signed event we don't track is acknowledged", async () => {
+  const body = Buffer.from(JSON.stringify({ type: "user.presence.changed" }));
+  const response = await deliver(body, { "X-Signature": sign(body) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { received: true, stored: false });
+});
+
+test("a repeated delivery is stored once", { skip }, async () => {
+  const body = payload("message.new");
+  const headers = { "X-Signature": sign(body), "X-Webhook-Id": "webhook-duplicate-test" };
+
+  const first = await deliver(body, headers);
+  const second = await deliver(body, headers);
+  await localInngest.settle();
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(await StreamEvent.countDocuments({ webhookId: "webhook-duplicate-test" }), 1);
+
+  const event = await StreamEvent.findOne({ webhookId: "webhook-duplicate-test" });
+  assert.equal(event.category, "message");
+  assert.equal(event.channelId, "frontend-round");
+});
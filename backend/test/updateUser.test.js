@@ -0,0 +1,58 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mongoSkipReason } from "./helpers.js";
+
+const skip = await mongoSkipReason();
+
+const { connectDB, disconnectDB } = await import("../src/config/db.js");
+const { localInngest } = await import("../src/config/inngest.js");
+const { User } = await import("../src/models/User.js");
+
+// the parts of a Clerk user payload profileFromClerk reads
+const clerkUser = (id, { firstName, updatedAt }) => ({
+  id,
+  email_addresses: [{ id: "email_1", email_address: `${id}@example.com` }],
+  primary_email_address_id: "email_1",
+  first_name: firstName,
+  last_name: "Lovelace",
+  image_url: "",
+  public_metadata: {},
+  updated_at: updatedAt,
+});
+
+const sendUpdate = (data) => localInngest.invoke("update-user", { data });
+
+before(async () => {
+  if (!skip) await connectDB();
+});
+
+after(async () => {
+  if (!skip) await disconnectDB();
+});
+
+test("an update that arrives after a newer one is skipped", { skip }, async () => {
+  await User.create({
+    clerkId: "user_out_of_order",
+    email: "user_out_of_order@example.com",
+    name: "Ada Lovelace",
+    clerkUpdatedAt: new Date(1000),
+  });
+
+  const newer = await sendUpdate(clerkUser("user_out_of_order", { firstName: "Newer", updatedAt: 3000 }));
+  const older = await sendUpdate(clerkUser("user_out_of_order", { firstName: "Older", updatedAt: 2000 }));
+
+  assert.deepEqual(newer, { skipped: false });
+  assert.deepEqual(older, { skipped: true });
+
+  const user = await User.findOne({ clerkId: "user_out_of_order" });
+  assert.equal(user.name, "Newer Lovelace");
+  assert.equal(user.clerkUpdatedAt.getTime(), 3000);
+});
+
+test("an update that arrives before the user was created creates it", { skip }, async () => {
+  const result = await sendUpdate(clerkUser("user_update_first", { firstName: "Early", updatedAt: 1000 }));
+
+  assert.deepEqual(result, { skipped: false });
+  const user = await User.findOne({ clerkId: "user_update_first" });
+  assert.equal(user.name, "Early Lovelace");
+});
@@ -1,8 +1,11 @@
 import { useAuth } from "@clerk/clerk-react";
 import { Navigate, Route, Routes } from "react-router";
 
+import AuditPage from "./pages/AuditPage";
 import AuthPage from "./pages/AuthPage";
+import BookingPage from "./pages/BookingPage";
 import CallPage from "./pages/CallPage";
+import GuestPage from "./pages/GuestPage";
 import HomePage from "./pages/HomePage";
 
 import * as Sentry from "@sentry/react";
@@ -24,6 +27,17 @@ const App = () => {
         element={isSignedIn ? <CallPage /> : <Navigate to={"/auth"} replace />}
       />
 
+      <Route
+        path="/admin/audit"
+        element={isSignedIn ? <AuditPage /> : <Navigate to={"/auth"} replace />}
+      />
+
+      {/* guest invite links work with or without a Clerk session */}
+      <Route path="/invite/:token" element={<GuestPage />} />
+
+      {/* anyone can browse open slots, booking asks for sign-in */}
+      <Route path="/book/:slug" element={<BookingPage />} />
+
       <Route
         path="*"
         element={isSignedIn ? <Navigate to={"/"} replace /> : <Navigate to={"/auth"} replace />}
@@ -0,0 +1,233 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { CopyIcon, XIcon } from "lucide-react";
+import { getMyAvailability, updateMyAvailability } from "../lib/api";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DEFAULT_WINDOW = { start: "09:00", end: "17:00" };
+
+// one window per weekday in the form; weekdays without a window are unavailable
+const windowsByDay = (availability) =>
+  WEEKDAYS.map((_, weekday) => {
+    const window = availability?.weeklyWindows.find((w) => w.weekday === weekday);
+    return window
+      ? { enabled: true, start: window.start, end: window.end }
+      : { enabled: !availability && weekday >= 1 && weekday <= 5, ...DEFAULT_WINDOW };
+  });
+
+const AvailabilityForm = ({ availability, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const [title, setTitle] = useState(availability?.title ?? "Interview");
+  const [timezone, setTimezone] = useState(
+    availability?.timezone ?? Intl.DateTimeFormat().resolvedOptions().timeZone
+  );
+  const [days, setDays] = useState(() => windowsByDay(availability));
+  const [slotMinutes, setSlotMinutes] = useState(availability?.slotMinutes ?? 60);
+  const [bufferMinutes, setBufferMinutes] = useState(availability?.bufferMinutes ?? 15);
+  const [minNoticeHours, setMinNoticeHours] = useState(availability?.minNoticeHours ?? 24);
+  const [horizonDays, setHorizonDays] = useState(availability?.horizonDays ?? 14);
+  const [enabled, setEnabled] = useState(availability?.enabled ?? true);
+
+  const { mutate, isPending, data: saved } = useMutation({
+    mutationFn: updateMyAvailability,
+    onSuccess: (data) => {
+      queryClient.setQueryData(["my-availability"], data);
+      toast.success("Availability saved");
+    },
+    onError: (error) => toast.error(error.response?.data?.message || "Failed to save availability"),
+  });
+
+  const slug = saved?.availability.slug ?? availability?.slug;
+  const bookingUrl = slug ? `${window.location.origin}/book/${slug}` : "";
+
+  const updateDay = (weekday, changes) =>
+    setDays(days.map((day, i) => (i === weekday ? { ...day, ...changes } : day)));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutate({
+      title,
+      timezone,
+      weeklyWindows: days.flatMap((day, weekday) =>
+        day.enabled ? [{ weekday, start: day.start, end: day.end }] : []
+      ),
+      slotMinutes: Number(slotMinutes),
+      bufferMinutes: Number(bufferMinutes),
+      minNoticeHours: Number(minNoticeHours),
+      horizonDays: Number(horizonDays),
+      enabled,
+    });
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(bookingUrl);
+    toast.success("Link copied");
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="px-6 py-4 space-y-4 max-h-[70vh] overflow-y-auto">
+      <p className="text-sm text-gray-600">
+        Candidates pick a free slot on your booking page. Each booking gets its own private channel
+        with you and the candidate.
+      </p>
+
+      {bookingUrl && (
+        <div className="flex items-center gap-2 rounded-md bg-gray-50 border border-gray-200 p-3">
+          <code className="flex-1 text-xs break-all">{bookingUrl}</code>
+          <button type="button" className="p-1 rounded hover:bg-gray-200" onClick={copyLink}>
+            <CopyIcon className="size-4 text-gray-600" />
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          Title
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Timezone
+          <input
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        {WEEKDAYS.map((name, weekday) => (
+          <div key={name} className="flex items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 w-32">
+              <input
+                type="checkbox"
+                checked={days[weekday].enabled}
+                onChange={(e) => updateDay(weekday, { enabled: e.target.checked })}
+              />
+              {name}
+            </label>
+            <input
+              type="time"
+              value={days[weekday].start}
+              disabled={!days[weekday].enabled}
+              onChange={(e) => updateDay(weekday, { start: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 disabled:opacity-40"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="time"
+              value={days[weekday].end}
+              disabled={!days[weekday].enabled}
+              onChange={(e) => updateDay(weekday, { end: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 disabled:opacity-40"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          Interview length
+          <select
+            value={slotMinutes}
+            onChange={(e) => setSlotMinutes(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          >
+            {[30, 45, 60, 90, 120].map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} minutes
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          Buffer between interviews
+          <select
+            value={bufferMinutes}
+            onChange={(e) => setBufferMinutes(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          >
+            {[0, 5, 10, 15, 30, 60].map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} minutes
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          Minimum notice (hours)
+          <input
+            type="number"
+            min={0}
+            value={minNoticeHours}
+            onChange={(e) => setMinNoticeHours(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Bookable days ahead
+          <input
+            type="number"
+            min={1}
+            max={60}
+            value={horizonDays}
+            onChange={(e) => setHorizonDays(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+        Booking page is open
+      </label>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" className="btn btn-secondary btn-small" onClick={onClose}>
+          Close
+        </button>
+        <button type="submit" disabled={isPending} className="btn btn-primary btn-small">
+          {isPending ? "Saving..." : "Save availability"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// weekly hours candidates can self-book interviews into
+function AvailabilityModal({ onClose }) {
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["my-availability"],
+    queryFn: getMyAvailability,
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-xl mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">Availability</h2>
+          <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {isLoading && <div className="text-center text-gray-500 py-8">Loading availability...</div>}
+        {isError && (
+          <div className="text-center text-red-500 py-8">Failed to load availability</div>
+        )}
+        {data && (
+          <AvailabilityForm availability={data.availability} onClose={onClose} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AvailabilityModal;
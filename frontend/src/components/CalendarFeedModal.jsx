@@ -0,0 +1,81 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { CalendarIcon, CopyIcon, RefreshCwIcon, XIcon } from "lucide-react";
+import { getCalendarFeedUrl, rotateCalendarFeedUrl } from "../lib/api";
+
+// personal ICS subscription URL listing every interview you take part in
+function CalendarFeedModal({ onClose }) {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["calendar-feed-url"],
+    queryFn: getCalendarFeedUrl,
+  });
+  const url = data?.url;
+
+  const { mutate: rotate, isPending: isRotating } = useMutation({
+    mutationFn: rotateCalendarFeedUrl,
+    onSuccess: (data) => {
+      queryClient.setQueryData(["calendar-feed-url"], data);
+      toast.success("New link created, the old one no longer works");
+    },
+    onError: () => toast.error("Failed to reset the link"),
+  });
+
+  const copyUrl = async () => {
+    await navigator.clipboard.writeText(url);
+    toast.success("Link copied");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">Calendar feed</h2>
+          <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your
+            interviews there. Keep it private, anyone with it can read your schedule.
+          </p>
+
+          {isLoading && <div className="text-center text-gray-500 py-4">Loading link...</div>}
+          {isError && <div className="text-center text-red-500 py-4">Failed to load link</div>}
+
+          {url && (
+            <>
+              <div className="flex items-center gap-2 rounded-md bg-gray-50 border border-gray-200 p-3">
+                <code className="flex-1 text-xs break-all">{url}</code>
+                <button className="p-1 rounded hover:bg-gray-200" onClick={copyUrl} title="Copy">
+                  <CopyIcon className="size-4 text-gray-600" />
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <a href={url.replace(/^https?:/, "webcal:")} className="btn btn-primary btn-small">
+                  <CalendarIcon className="size-4" />
+                  Open in calendar app
+                </a>
+                <button
+                  className="flex items-center gap-1 text-sm text-gray-500 hover:text-red-600 py-1 px-2 rounded"
+                  disabled={isRotating}
+                  onClick={() => rotate()}
+                >
+                  <RefreshCwIcon className="size-4" />
+                  Reset link
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarFeedModal;
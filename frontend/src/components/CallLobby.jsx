@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router";
+import { useQuery } from "@tanstack/react-query";
+import { ClockIcon, UserXIcon, VideoOffIcon } from "lucide-react";
+import { enterLobby } from "../lib/api";
+
+// holding screen for participants waiting for a host to let them into a call. Guests pass their
+// own checkIn, and onBack to leave the denied screen for somewhere other than the app
+const CallLobby = ({ callId, onAdmitted, checkIn = () => enterLobby(callId), onBack }) => {
+  const videoRef = useRef(null);
+  const [cameraError, setCameraError] = useState(false);
+
+  // checking in keeps us on the host's waiting list and picks up their decision. A failed
+  // check-in keeps polling too, so the "retrying" copy below holds true
+  const { data, isError } = useQuery({
+    queryKey: ["lobby-status", callId],
+    queryFn: checkIn,
+    refetchInterval: (query) =>
+      query.state.status === "error" || query.state.data?.status === "waiting" ? 3000 : false,
+  });
+  const status = data?.status;
+
+  useEffect(() => {
+    if (status === "admitted") onAdmitted(data);
+  }, [status, data, onAdmitted]);
+
+  useEffect(() => {
+    let stream;
+    let cancelled = false;
+
+    navigator.mediaDevices
+      ?.getUserMedia({ video: true, audio: false })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (cancelled) return stream.getTracks().forEach((track) => track.stop());
+        if (videoRef.current) videoRef.current.srcObject = stream;
+      })
+      .catch(() => setCameraError(true));
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  if (status === "denied") {
+    return (
+      <div className="h-screen flex flex-col items-center justify-center gap-4 bg-gray-100 text-center px-4">
+        <UserXIcon className="size-12 text-red-500" />
+        <h1 className="text-xl font-semibold text-gray-900">The host didn't let you in</h1>
+        <p className="text-gray-600 max-w-md">
+          Reach out to the interviewer in the channel if you think this was a mistake.
+        </p>
+        {onBack ? (
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Back to chat
+          </button>
+        ) : (
+          <Link to="/" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+            Back to chat
+          </Link>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center gap-6 bg-gray-100 px-4">
+      <div className="w-full max-w-xl aspect-video rounded-xl overflow-hidden bg-gray-900 flex items-center justify-center">
+        {cameraError ? (
+          <div className="flex flex-col items-center gap-2 text-gray-300">
+            <VideoOffIcon className="size-10" />
+            <span className="text-sm">Camera unavailable</span>
+          </div>
+        ) : (
+          <video ref={videoRef} autoPlay muted playsInline className="w-full h-full object-cover" />
+        )}
+      </div>
+
+      <div className="flex flex-col items-center gap-2 text-center">
+        <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+          <ClockIcon className="size-5 text-blue-600" />
+          Waiting for the host to let you in
+        </div>
+        <p className="text-gray-600">
+          {isError
+            ? "Lost contact with the server, retrying..."
+            : "Please stay on this page, you'll join automatically once admitted."}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CallLobby;
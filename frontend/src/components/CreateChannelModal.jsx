@@ -1,54 +1,25 @@
-import { useEffect, useState } from "react";
+import { useState } from "react";
 import { useSearchParams } from "react-router";
 import { useChatContext } from "stream-chat-react";
-import * as Sentry from "@sentry/react";
 import toast from "react-hot-toast";
-import { AlertCircleIcon, HashIcon, LockIcon, UsersIcon, XIcon } from "lucide-react";
+import { AlertCircleIcon, HashIcon, LockIcon, XIcon } from "lucide-react";
+import { useRole } from "../hooks/useRole";
+import { createChannel } from "../lib/api";
+import MemberPicker from "./MemberPicker";
 
 const CreateChannelModal = ({ onClose }) => {
+  // public channels auto-add everyone, so only admins may create them
+  const { isAdmin } = useRole();
   const [channelName, setChannelName] = useState("");
-  const [channelType, setChannelType] = useState("public");
+  const [channelType, setChannelType] = useState(isAdmin ? "public" : "private");
   const [description, setDescription] = useState("");
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState("");
-  const [users, setUsers] = useState([]);
   const [selectedMembers, setSelectedMembers] = useState([]);
-  const [loadingUsers, setLoadingUsers] = useState(false);
   const [_, setSearchParams] = useSearchParams();
 
   const { client, setActiveChannel } = useChatContext();
 
-  // fetch users for member selection
-  useEffect(() => {
-    const fetchUsers = async () => {
-      if (!client?.user) return;
-      setLoadingUsers(true);
-
-      try {
-        const response = await client.queryUsers(
-          { id: { $ne: client.user.id } },
-          { name: 1 },
-          { limit: 100 }
-        );
-
-        const usersOnly = response.users.filter((user) => !user.id.startsWith("recording-"));
-
-        setUsers(usersOnly || []);
-      } catch (error) {
-        console.log("Error fetching users");
-        Sentry.captureException(error, {
-          tags: { component: "CreateChannelModal" },
-          extra: { context: "fetch_users_for_channel" },
-        });
-        setUsers([]);
-      } finally {
-        setLoadingUsers(false);
-      }
-    };
-
-    fetchUsers();
-  }, [client]);
-
   // reset the form on open
   // useEffect(() => {
   //   setChannelName("");
@@ -58,12 +29,6 @@ const CreateChannelModal = ({ onClose }) => {
   //   setSelectedMembers([]);
   // }, []);
 
-  // auto-select all users for public channels
-  useEffect(() => {
-    if (channelType === "public") setSelectedMembers(users.map((u) => u.id));
-    else setSelectedMembers([]);
-  }, [channelType, users]);
-
   const validateChannelName = (name) => {
     if (!name.trim()) return "Channel name is required";
     if (name.length < 3) return "Channel name must be at least 3 characters";
@@ -78,14 +43,6 @@ const CreateChannelModal = ({ onClose }) => {
     setError(validateChannelName(value));
   };
 
-  const handleMemberToggle = (id) => {
-    if (selectedMembers.includes(id)) {
-      setSelectedMembers(selectedMembers.filter((uid) => uid !== id));
-    } else {
-      setSelectedMembers([...selectedMembers, id]);
-    }
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     const validationError = validateChannelName(channelName);
@@ -97,43 +54,25 @@ const CreateChannelModal = ({ onClose }) => {
     setError("");
 
     try {
-      // MY COOL CHANNEL !#1 => my-cool-channel-1
-      const channelId = channelName
-        .toLowerCase()
-        .trim()
-        .replace(/\s+/g, "-")
-        .replace(/[^a-z0-9-_]/g, "")
-        .slice(0, 20);
-
-      // prepare the channel data
-
-      const channelData = {
+      // the backend picks a unique id and adds everyone to public channels
+      const { channel: channelData } = await createChannel({
         name: channelName.trim(),
-        created_by_id: client.user.id,
-        members: [client.user.id, ...selectedMembers],
-      };
-
-      if (description) channelData.description = description;
-
-      if (channelType === "private") {
-        channelData.private = true;
-        channelData.visibility = "private";
-      } else {
-        channelData.visibility = "public";
-        channelData.discoverable = true;
-      }
-
-      const channel = client.channel("messaging", channelId, channelData);
+        description,
+        type: channelType,
+        members: channelType === "private" ? selectedMembers : [],
+      });
 
+      const channel = client.channel("messaging", channelData.id);
       await channel.watch();
 
       setActiveChannel(channel);
-      setSearchParams({ channel: channelId });
+      setSearchParams({ channel: channel.id });
 
       toast.success(`Channel "${channelName}" created successfully!`);
       onClose();
     } catch (error) {
       console.log("Error creating the channel", error);
+      setError(error.response?.data?.message || "Failed to create channel");
     } finally {
       setIsCreating(false);
     }
@@ -180,8 +119,11 @@ const CreateChannelModal = ({ onClose }) => {
                 Channel ID will be: #
                 {channelName
                   .toLowerCase()
+                  .trim()
                   .replace(/\s+/g, "-")
-                  .replace(/[^a-z0-9-_]/g, "")}
+                  .replace(/[^a-z0-9-_]/g, "")
+                  .slice(0, 20)}{" "}
+                (a number is added if it's already taken)
               </div>
             )}
           </div>
@@ -191,21 +133,23 @@ const CreateChannelModal = ({ onClose }) => {
             <label>Channel type</label>
 
             <div className="radio-group">
-              <label className="radio-option">
-                <input
-                  type="radio"
-                  value="public"
-                  checked={channelType === "public"}
-                  onChange={(e) => setChannelType(e.target.value)}
-                />
-                <div className="radio-content">
-                  <HashIcon className="size-4" />
-                  <div>
-                    <div className="radio-title">Public</div>
-                    <div className="radio-description">Anyone can join this channel</div>
+              {isAdmin && (
+                <label className="radio-option">
+                  <input
+                    type="radio"
+                    value="public"
+                    checked={channelType === "public"}
+                    onChange={(e) => setChannelType(e.target.value)}
+                  />
+                  <div className="radio-content">
+                    <HashIcon className="size-4" />
+                    <div>
+                      <div className="radio-title">Public</div>
+                      <div className="radio-description">Anyone can join this channel</div>
+                    </div>
                   </div>
-                </div>
-              </label>
+                </label>
+              )}
 
               <label className="radio-option">
                 <input
@@ -229,49 +173,11 @@ const CreateChannelModal = ({ onClose }) => {
           {channelType === "private" && (
             <div className="form-group">
               <label>Add members</label>
-              <div className="member-selection-header">
-                <button
-                  type="button"
-                  className="btn btn-secondary btn-small"
-                  onClick={() => setSelectedMembers(users.map((u) => u.id))}
-                  disabled={loadingUsers || users.length === 0}
-                >
-                  <UsersIcon className="w-4 h-4" />
-                  Select Everyone
-                </button>
-                <span className="selected-count">{selectedMembers.length} selected</span>
-              </div>
-
-              <div className="members-list">
-                {loadingUsers ? (
-                  <p>Loading users...</p>
-                ) : users.length === 0 ? (
-                  <p>No users found</p>
-                ) : (
-                  users.map((user) => (
-                    <label key={user.id} className="member-item">
-                      <input
-                        type="checkbox"
-                        checked={selectedMembers.includes(user.id)}
-                        onChange={() => handleMemberToggle(user.id)}
-                        className="member-checkbox"
-                      />
-                      {user.image ? (
-                        <img
-                          src={user.image}
-                          alt={user.name || user.id}
-                          className="member-avatar"
-                        />
-                      ) : (
-                        <div className="member-avatar member-avatar-placeholder">
-                          <span>{(user.name || user.id).charAt(0).toUpperCase()}</span>
-                        </div>
-                      )}
-                      <span className="member-name">{user.name || user.id}</span>
-                    </label>
-                  ))
-                )}
-              </div>
+              <MemberPicker
+                selectedIds={selectedMembers}
+                onChange={setSelectedMembers}
+                excludeIds={[client.user.id]}
+              />
             </div>
           )}
 
@@ -1,14 +1,29 @@
-import { HashIcon, LockIcon, UsersIcon, PinIcon, VideoIcon } from "lucide-react";
+import {
+  HashIcon,
+  LockIcon,
+  UsersIcon,
+  PinIcon,
+  VideoIcon,
+  DownloadIcon,
+  FilmIcon,
+} from "lucide-react";
 import { useChannelStateContext } from "stream-chat-react";
 import { useState } from "react";
 import { useUser } from "@clerk/clerk-react";
+import { useRole } from "../hooks/useRole";
 import MembersModal from "./MembersModal";
 import PinnedMessagesModal from "./PinnedMessagesModal";
 import InviteModal from "./InviteModal";
+import UpcomingInterviewsModal from "./UpcomingInterviewsModal";
+import ExportChannelModal from "./ExportChannelModal";
+import RecordingsModal from "./RecordingsModal";
+import ProfilePanel from "./ProfilePanel";
+import { getActiveStatus } from "../lib/users";
 
 const CustomChannelHeader = () => {
   const { channel } = useChannelStateContext();
   const { user } = useUser();
+  const { isStaff } = useRole();
 
   const memberCount = Object.keys(channel.state.members).length;
 
@@ -16,12 +31,19 @@ const CustomChannelHeader = () => {
   const [showMembers, setShowMembers] = useState(false);
   const [showPinnedMessages, setShowPinnedMessages] = useState(false);
   const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [showInterviews, setShowInterviews] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showRecordings, setShowRecordings] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
 
   const otherUser = Object.values(channel.state.members).find(
     (member) => member.user.id !== user.id
   );
 
+  const isMember = !!channel.state.members[user.id];
+
   const isDM = channel.data?.member_count === 2 && channel.data?.id.includes("user_");
+  const otherUserStatus = isDM ? getActiveStatus(otherUser?.user) : null;
 
   const handleShowPinned = async () => {
     const channelState = await channel.query();
@@ -29,15 +51,6 @@ const CustomChannelHeader = () => {
     setShowPinnedMessages(true);
   };
 
-  const handleVideoCall = async () => {
-    if (channel) {
-      const callUrl = `${window.location.origin}/call/${channel.id}`;
-      await channel.sendMessage({
-        text: `Good day, I have initiated the video call for our scheduled interview : ${callUrl}`,
-      });
-    }
-  };
-
   return (
     <div className="h-14 border-b border-gray-200 flex items-center px-4 justify-between bg-white">
       <div className="flex items-center gap-3">
@@ -48,17 +61,34 @@ const CustomChannelHeader = () => {
             <HashIcon className="size-4 text-[#616061]" />
           )}
 
-          {isDM && otherUser?.user?.image && (
-            <img
-              src={otherUser.user.image}
-              alt={otherUser.user.name || otherUser.user.id}
-              className="size-7 rounded-full object-cover mr-1"
-            />
+          {isDM && otherUser ? (
+            <button
+              className="flex items-center gap-2 hover:bg-[#F8F8F8] py-1 px-1 rounded"
+              onClick={() => setShowProfile(true)}
+              title="View profile"
+            >
+              {otherUser.user.image && (
+                <img
+                  src={otherUser.user.image}
+                  alt={otherUser.user.name || otherUser.user.id}
+                  className="size-7 rounded-full object-cover mr-1"
+                />
+              )}
+              <span className="font-medium text-[#1D1C1D]">
+                {otherUser.user.name || otherUser.user.id}
+              </span>
+              {otherUser.user.pronouns && (
+                <span className="text-sm text-[#616061]">({otherUser.user.pronouns})</span>
+              )}
+              {otherUserStatus && (
+                <span className="text-sm text-[#616061] truncate max-w-48">
+                  {otherUserStatus.emoji} {otherUserStatus.text}
+                </span>
+              )}
+            </button>
+          ) : (
+            <span className="font-medium text-[#1D1C1D]">{channel.data?.id}</span>
           )}
-
-          <span className="font-medium text-[#1D1C1D]">
-            {isDM ? otherUser?.user?.name || otherUser?.user?.id : channel.data?.id}
-          </span>
         </div>
       </div>
 
@@ -71,15 +101,17 @@ const CustomChannelHeader = () => {
           <span className="text-sm text-[#616061]">{memberCount}</span>
         </button>
 
-        <button
-          className="hover:bg-[#F8F8F8] p-1 rounded"
-          onClick={handleVideoCall}
-          title="Start Video Call"
-        >
-          <VideoIcon className="size-5 text-[#1264A3]" />
-        </button>
+        {isStaff && (
+          <button
+            className="hover:bg-[#F8F8F8] p-1 rounded"
+            onClick={() => setShowInterviews(true)}
+            title="Start Video Call"
+          >
+            <VideoIcon className="size-5 text-[#1264A3]" />
+          </button>
+        )}
 
-        {channel.data?.private && (
+        {isStaff && channel.data?.private && (
           <button className="btn btn-primary" onClick={() => setShowInvite(true)}>
             Invite
           </button>
@@ -88,6 +120,26 @@ const CustomChannelHeader = () => {
         <button className="hover:bg-[#F8F8F8] p-1 rounded" onClick={handleShowPinned}>
           <PinIcon className="size-4 text-[#616061]" />
         </button>
+
+        {isMember && (
+          <button
+            className="hover:bg-[#F8F8F8] p-1 rounded"
+            onClick={() => setShowExport(true)}
+            title="Export"
+          >
+            <DownloadIcon className="size-4 text-[#616061]" />
+          </button>
+        )}
+
+        {isStaff && isMember && (
+          <button
+            className="hover:bg-[#F8F8F8] p-1 rounded"
+            onClick={() => setShowRecordings(true)}
+            title="Recordings"
+          >
+            <FilmIcon className="size-4 text-[#616061]" />
+          </button>
+        )}
       </div>
 
       {showMembers && (
@@ -97,6 +149,10 @@ const CustomChannelHeader = () => {
         />
       )}
 
+      {showProfile && otherUser && (
+        <ProfilePanel userId={otherUser.user.id} onClose={() => setShowProfile(false)} />
+      )}
+
       {showPinnedMessages && (
         <PinnedMessagesModal
           pinnedMessages={pinnedMessages}
@@ -105,6 +161,16 @@ const CustomChannelHeader = () => {
       )}
 
       {showInvite && <InviteModal channel={channel} onClose={() => setShowInvite(false)} />}
+
+      {showExport && <ExportChannelModal channel={channel} onClose={() => setShowExport(false)} />}
+
+      {showRecordings && (
+        <RecordingsModal channel={channel} onClose={() => setShowRecordings(false)} />
+      )}
+
+      {showInterviews && (
+        <UpcomingInterviewsModal channel={channel} onClose={() => setShowInterviews(false)} />
+      )}
     </div>
   );
 };
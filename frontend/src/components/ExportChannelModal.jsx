@@ -0,0 +1,101 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { FileJsonIcon, FileSpreadsheetIcon, FileTextIcon, XIcon } from "lucide-react";
+import { exportChannel } from "../lib/api";
+
+const FORMATS = [
+  {
+    value: "md",
+    label: "Markdown",
+    description: "Readable transcript",
+    icon: <FileTextIcon className="size-4" />,
+  },
+  {
+    value: "csv",
+    label: "CSV",
+    description: "One row per message",
+    icon: <FileSpreadsheetIcon className="size-4" />,
+  },
+  {
+    value: "json",
+    label: "JSON",
+    description: "Full structured history",
+    icon: <FileJsonIcon className="size-4" />,
+  },
+];
+
+const ExportChannelModal = ({ channel, onClose }) => {
+  const [format, setFormat] = useState("md");
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const blob = await exportChannel({ channelId: channel.id, format });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${channel.id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      onClose();
+    } catch (error) {
+      console.log("Error exporting channel", error);
+      toast.error("Failed to export channel history");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="create-channel-modal-overlay">
+      <div className="create-channel-modal">
+        <div className="create-channel-modal__header">
+          <h2>Export channel history</h2>
+          <button onClick={onClose} className="create-channel-modal__close">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="create-channel-modal__form">
+          <div className="form-group">
+            <label>Format</label>
+            <div className="radio-group">
+              {FORMATS.map(({ value, label, description, icon }) => (
+                <label key={value} className="radio-option">
+                  <input
+                    type="radio"
+                    value={value}
+                    checked={format === value}
+                    onChange={(e) => setFormat(e.target.value)}
+                  />
+                  <div className="radio-content">
+                    {icon}
+                    <div>
+                      <div className="radio-title">{label}</div>
+                      <div className="radio-description">{description}</div>
+                    </div>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <div className="form-hint">Includes threads, pinned messages and attachment details.</div>
+          </div>
+
+          <div className="create-channel-modal__actions">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button onClick={handleExport} disabled={isExporting} className="btn btn-primary">
+              {isExporting ? "Exporting..." : "Export"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportChannelModal;
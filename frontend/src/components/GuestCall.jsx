@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  CallControls,
+  SpeakerLayout,
+  StreamCall,
+  StreamTheme,
+  StreamVideo,
+  StreamVideoClient,
+} from "@stream-io/video-react-sdk";
+import { enterGuestLobby } from "../lib/api";
+import CallLobby from "./CallLobby";
+import PreJoinScreen from "./PreJoinScreen";
+
+import "@stream-io/video-react-sdk/dist/css/styles.css";
+
+const STREAM_API_KEY = import.meta.env.VITE_STREAM_API_KEY;
+
+// the call behind a guest invite. Guests wait in the lobby like other candidates; once a host
+// admits them the lobby check-in hands back a token scoped to just this call
+const GuestCall = ({ session, onLeave }) => {
+  const [access, setAccess] = useState(null);
+  const [client, setClient] = useState(null);
+  const [call, setCall] = useState(null);
+  const [hasJoined, setHasJoined] = useState(false);
+
+  useEffect(() => {
+    if (!access?.token) return;
+
+    const videoClient = new StreamVideoClient({
+      apiKey: STREAM_API_KEY,
+      user: session.user,
+      token: access.token,
+      // call tokens are short-lived, and the lobby hands out a new one while we're admitted
+      tokenProvider: () => enterGuestLobby(session.sessionToken).then((data) => data.token),
+    });
+    const callInstance = videoClient.call(access.callType, access.callId);
+
+    callInstance
+      .getOrCreate()
+      .then(() => {
+        setClient(videoClient);
+        setCall(callInstance);
+      })
+      .catch((error) => {
+        console.log("Error init guest call:", error);
+        toast.error("Cannot connect to the call.");
+        onLeave();
+      });
+
+    return () => {
+      callInstance.leave().catch(() => {});
+      videoClient.disconnectUser();
+    };
+  }, [access, session, onLeave]);
+
+  if (!access?.token) {
+    return (
+      <CallLobby
+        callId={session.callId}
+        checkIn={() => enterGuestLobby(session.sessionToken)}
+        onAdmitted={setAccess}
+        onBack={onLeave}
+      />
+    );
+  }
+
+  if (!client || !call) {
+    return <div className="h-screen flex justify-center items-center">Connecting to call...</div>;
+  }
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center bg-gray-100">
+      <div className="relative w-full max-w-4xl mx-auto">
+        <StreamVideo client={client}>
+          <StreamCall call={call}>
+            {hasJoined ? (
+              <StreamTheme>
+                <SpeakerLayout />
+                <CallControls onLeave={onLeave} />
+              </StreamTheme>
+            ) : (
+              <PreJoinScreen
+                onJoin={async () => {
+                  await call.join();
+                  setHasJoined(true);
+                }}
+                onCancel={onLeave}
+              />
+            )}
+          </StreamCall>
+        </StreamVideo>
+      </div>
+    </div>
+  );
+};
+
+export default GuestCall;
@@ -0,0 +1,99 @@
+import { useEffect, useRef, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { SendIcon } from "lucide-react";
+import { getGuestMessages, sendGuestMessage } from "../lib/api";
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+
+// the invite channel's conversation for a guest. Guests have no chat token, so messages are
+// read and sent through the guest routes, which only reach this one channel
+const GuestChat = ({ session }) => {
+  const queryClient = useQueryClient();
+  const [text, setText] = useState("");
+  const endRef = useRef(null);
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["guest-messages", session.channelId],
+    queryFn: () => getGuestMessages(session.sessionToken),
+    refetchInterval: 3000,
+  });
+  const messages = data?.messages ?? [];
+  const lastMessageId = messages[messages.length - 1]?.id;
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "end" });
+  }, [lastMessageId]);
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: sendGuestMessage,
+    onSuccess: () => {
+      setText("");
+      queryClient.invalidateQueries({ queryKey: ["guest-messages", session.channelId] });
+    },
+    onError: (error) => toast.error(error.response?.data?.message || "Failed to send message"),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    mutate({ sessionToken: session.sessionToken, text });
+  };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 bg-white">
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+        {isLoading && <p className="text-sm text-gray-500">Loading messages...</p>}
+        {isError && <p className="text-sm text-red-600">Failed to load messages</p>}
+        {messages.map((message) => (
+          <div key={message.id} className="flex items-start gap-3">
+            {message.user.image ? (
+              <img
+                src={message.user.image}
+                alt={message.user.name}
+                className="size-8 rounded-full object-cover"
+              />
+            ) : (
+              <div className="size-8 rounded-full bg-gray-400 flex items-center justify-center">
+                <span className="text-sm text-white">
+                  {(message.user.name || "?").charAt(0).toUpperCase()}
+                </span>
+              </div>
+            )}
+            <div className="min-w-0">
+              <div className="flex items-baseline gap-2">
+                <span className="text-sm font-semibold text-gray-900">
+                  {message.user.name || message.user.id}
+                </span>
+                <span className="text-xs text-gray-500">{formatTime(message.createdAt)}</span>
+              </div>
+              <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{message.text}</p>
+            </div>
+          </div>
+        ))}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2 border-t border-gray-200 px-4 py-3">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Send a message"
+          maxLength={2000}
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2"
+        />
+        <button
+          type="submit"
+          disabled={isPending || !text.trim()}
+          className="btn btn-primary btn-small"
+        >
+          <SendIcon className="size-4" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default GuestChat;
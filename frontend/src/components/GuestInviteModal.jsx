@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { CopyIcon, LinkIcon, XIcon } from "lucide-react";
+import { createGuestInvite, getGuestInvites, revokeGuestInvite } from "../lib/api";
+
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: "1 day" },
+  { hours: 72, label: "3 days" },
+  { hours: 168, label: "7 days" },
+];
+
+const STATE_STYLES = {
+  active: "text-green-600",
+  used: "text-[#1264A3]",
+  expired: "text-gray-500",
+  revoked: "text-red-500",
+};
+
+// single-use links that let an external candidate join one interview without an account
+function GuestInviteModal({ channel, interview, onClose }) {
+  const queryClient = useQueryClient();
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [newLink, setNewLink] = useState("");
+
+  const queryKey = ["guest-invites", channel.id, interview._id];
+  const { data, isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: () => getGuestInvites({ channelId: channel.id, interviewId: interview._id }),
+  });
+  const invites = data?.invites ?? [];
+
+  const { mutate: create, isPending: isCreating } = useMutation({
+    mutationFn: createGuestInvite,
+    onSuccess: (data) => {
+      setNewLink(data.url);
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (error) => toast.error(error.response?.data?.message || "Failed to create link"),
+  });
+
+  const { mutate: revoke } = useMutation({
+    mutationFn: revokeGuestInvite,
+    onSuccess: () => {
+      toast.success("Link revoked");
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: () => toast.error("Failed to revoke link"),
+  });
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(newLink);
+    toast.success("Link copied");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">Guest links</h2>
+          <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Anyone with a link can join "{interview.title}" and this channel once, without an
+            account. Send it to the candidate only.
+          </p>
+
+          <div className="flex items-center gap-2">
+            <select
+              value={expiresInHours}
+              onChange={(e) => setExpiresInHours(Number(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.hours} value={option.hours}>
+                  Expires in {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn btn-primary btn-small"
+              disabled={isCreating}
+              onClick={() => create({ interviewId: interview._id, expiresInHours })}
+            >
+              <LinkIcon className="size-4" />
+              {isCreating ? "Creating..." : "Create link"}
+            </button>
+          </div>
+
+          {newLink && (
+            <div className="rounded-md bg-gray-50 border border-gray-200 p-3">
+              <div className="text-xs text-gray-500 mb-1">
+                Copy it now, the link won't be shown again
+              </div>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 text-xs break-all">{newLink}</code>
+                <button className="p-1 rounded hover:bg-gray-200" onClick={copyLink} title="Copy">
+                  <CopyIcon className="size-4 text-gray-600" />
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* INVITES LIST */}
+          <div className="max-h-64 overflow-y-auto">
+            {isLoading && <div className="text-center text-gray-500 py-4">Loading links...</div>}
+            {isError && <div className="text-center text-red-500 py-4">Failed to load links</div>}
+
+            {invites.map((invite) => (
+              <div
+                key={invite._id}
+                className="flex items-center justify-between gap-3 py-2 border-b border-gray-200 last:border-b-0"
+              >
+                <div className="min-w-0 text-sm">
+                  <span className={`font-medium capitalize ${STATE_STYLES[invite.state]}`}>
+                    {invite.state}
+                  </span>
+                  <span className="text-gray-500">
+                    {" "}
+                    ·{" "}
+                    {invite.guestName
+                      ? `used by ${invite.guestName}`
+                      : `expires ${new Date(invite.expiresAt).toLocaleString()}`}
+                  </span>
+                </div>
+                {(invite.state === "active" || invite.state === "used") && (
+                  <button
+                    className="text-sm text-gray-500 hover:text-red-600 py-1 px-2 rounded shrink-0"
+                    onClick={() => revoke(invite._id)}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+
+            {!isLoading && !isError && invites.length === 0 && (
+              <div className="text-center text-gray-500 py-4">No guest links yet</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GuestInviteModal;
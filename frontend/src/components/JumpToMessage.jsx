@@ -0,0 +1,24 @@
+import { useEffect } from "react";
+import { useSearchParams } from "react-router";
+import { useChannelActionContext, useChannelStateContext } from "stream-chat-react";
+
+// scrolls the open channel to ?message=<id>, used by search results
+const JumpToMessage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { channel } = useChannelStateContext();
+  const { jumpToMessage } = useChannelActionContext();
+
+  const messageId = searchParams.get("message");
+
+  useEffect(() => {
+    if (!messageId || channel?.id !== searchParams.get("channel")) return;
+
+    jumpToMessage(messageId);
+    // drop the param so switching back to this channel doesn't jump again
+    setSearchParams({ channel: channel.id }, { replace: true });
+  }, [channel, messageId, searchParams, jumpToMessage, setSearchParams]);
+
+  return null;
+};
+
+export default JumpToMessage;
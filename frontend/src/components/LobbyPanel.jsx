@@ -0,0 +1,63 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { CheckIcon, UsersIcon, XIcon } from "lucide-react";
+import { decideLobbyRequest, getLobby } from "../lib/api";
+
+// people waiting to join a call, shown to its hosts
+const LobbyPanel = ({ callId }) => {
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery({
+    queryKey: ["lobby", callId],
+    queryFn: () => getLobby(callId),
+    refetchInterval: 3000,
+  });
+  const waiting = data?.waiting ?? [];
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: decideLobbyRequest,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["lobby", callId] }),
+    onError: () => toast.error("Failed to update the lobby"),
+  });
+
+  if (waiting.length === 0) return null;
+
+  return (
+    <div className="absolute top-4 right-4 z-10 w-72 bg-white rounded-xl shadow-2xl">
+      <div className="flex items-center gap-2 border-b px-4 py-3 font-semibold">
+        <UsersIcon className="size-4" />
+        Waiting in the lobby ({waiting.length})
+      </div>
+      <ul className="divide-y">
+        {waiting.map((person) => (
+          <li key={person.userId} className="flex items-center gap-3 px-4 py-3">
+            {person.image ? (
+              <img src={person.image} alt={person.name} className="size-8 rounded-full object-cover" />
+            ) : (
+              <div className="size-8 rounded-full bg-gray-300" />
+            )}
+            <span className="flex-1 text-sm font-medium truncate">{person.name}</span>
+            <button
+              onClick={() => mutate({ callId, userId: person.userId, decision: "admit" })}
+              disabled={isPending}
+              className="p-1.5 rounded-md bg-green-600 text-white hover:bg-green-700"
+              title="Admit"
+            >
+              <CheckIcon className="size-4" />
+            </button>
+            <button
+              onClick={() => mutate({ callId, userId: person.userId, decision: "deny" })}
+              disabled={isPending}
+              className="p-1.5 rounded-md bg-red-600 text-white hover:bg-red-700"
+              title="Deny"
+            >
+              <XIcon className="size-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LobbyPanel;
@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from "react";
+import { SearchIcon, UsersIcon } from "lucide-react";
+import { useUserDirectory } from "../hooks/useUserDirectory";
+
+const MemberRow = ({ user, checked, disabled, note, onToggle }) => (
+  <label className="member-item">
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={onToggle}
+      className="member-checkbox"
+    />
+    {user.image ? (
+      <img src={user.image} alt={user.name} className="member-avatar" />
+    ) : (
+      <div className="member-avatar member-avatar-placeholder">
+        <span>{user.name.charAt(0).toUpperCase()}</span>
+      </div>
+    )}
+    <div className="min-w-0">
+      <div className="member-name truncate">{user.name}</div>
+      {(note || user.title) && (
+        <div className="text-xs text-white/50 truncate">{note || user.title}</div>
+      )}
+    </div>
+  </label>
+);
+
+// searchable people list backed by the user directory, loading more as you scroll.
+// with onChange it is a multi-select of user ids; with renderUser each person renders however
+// the caller likes (the sidebar's DM list does this). Pass search and onSearchChange to own the
+// search text, e.g. to read the same directory query with useUserDirectory
+const MemberPicker = ({
+  search: controlledSearch,
+  onSearchChange,
+  selectedIds = [],
+  onChange,
+  excludeIds = [],
+  disabledIds = [],
+  disabledNote,
+  renderUser,
+  placeholder = "Search people",
+  listClassName = "members-list",
+  emptyMessage = "No users found",
+}) => {
+  const [ownSearch, setOwnSearch] = useState("");
+  const search = controlledSearch ?? ownSearch;
+  const setSearch = onSearchChange ?? setOwnSearch;
+  const { users, isLoading, isError, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useUserDirectory({ search });
+
+  const visibleUsers = users.filter((user) => !excludeIds.includes(user.id));
+  const selectableIds = visibleUsers
+    .map((user) => user.id)
+    .filter((id) => !disabledIds.includes(id));
+
+  // fetch the next page once the end of the list scrolls into view
+  const endRef = useRef(null);
+  useEffect(() => {
+    const end = endRef.current;
+    if (!end || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !isFetchingNextPage) fetchNextPage();
+    });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  const toggle = (id) =>
+    onChange(
+      selectedIds.includes(id) ? selectedIds.filter((uid) => uid !== id) : [...selectedIds, id]
+    );
+
+  return (
+    <>
+      <div className="input-with-icon w-full mb-2">
+        <SearchIcon className="w-4 h-4 input-icon" />
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          // the picker sits inside other forms; Enter shouldn't submit them
+          onKeyDown={(e) => e.key === "Enter" && e.preventDefault()}
+          placeholder={placeholder}
+          className="form-input"
+        />
+      </div>
+
+      {onChange && (
+        <div className="member-selection-header">
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={() => onChange([...new Set([...selectedIds, ...selectableIds])])}
+            disabled={!selectableIds.length}
+          >
+            <UsersIcon className="w-4 h-4" />
+            Select all shown
+          </button>
+          <span className="selected-count">{selectedIds.length} selected</span>
+        </div>
+      )}
+
+      <div className={listClassName}>
+        {isLoading ? (
+          <p className="team-channel-list__message">Loading users...</p>
+        ) : isError ? (
+          <p className="team-channel-list__message">Failed to load users</p>
+        ) : !visibleUsers.length ? (
+          <p className="team-channel-list__message">{emptyMessage}</p>
+        ) : (
+          visibleUsers.map((user) => {
+            if (renderUser) return renderUser(user);
+            const disabled = disabledIds.includes(user.id);
+            return (
+              <MemberRow
+                key={user.id}
+                user={user}
+                checked={disabled || selectedIds.includes(user.id)}
+                disabled={disabled}
+                note={disabled ? disabledNote : null}
+                onToggle={() => toggle(user.id)}
+              />
+            );
+          })
+        )}
+
+        {hasNextPage && (
+          <div ref={endRef} className="team-channel-list__message">
+            {isFetchingNextPage ? "Loading more..." : ""}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default MemberPicker;
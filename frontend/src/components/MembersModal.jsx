@@ -1,6 +1,11 @@
+import { useState } from "react";
 import { XIcon } from "lucide-react";
+import { getActiveStatus, isServiceUser } from "../lib/users";
+import ProfilePanel from "./ProfilePanel";
 
 function MembersModal({ members, onClose }) {
+  const [profileUserId, setProfileUserId] = useState(null);
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
       <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-4">
@@ -14,32 +19,57 @@ function MembersModal({ members, onClose }) {
 
         {/* MEMBERS LIST */}
         <div className="px-6 py-4 max-h-96 overflow-y-auto">
-          {members.map((member) => (
-            <div
-              key={member.user.id}
-              className="flex items-center gap-3 py-3 border-b border-gray-200 last:border-b-0"
-            >
-              {member.user?.image ? (
-                <img
-                  src={member.user.image}
-                  alt={member.user.name}
-                  className="size-9 rounded-full object-cover"
-                />
-              ) : (
-                <div className="size-9 rounded-full bg-gray-400 flex items-center justify-center">
-                  <span className="text-white">
-                    {(member.user.name || member.user.id).charAt(0).toUpperCase()}
-                  </span>
-                </div>
-              )}
+          {members.map((member) => {
+            const status = getActiveStatus(member.user);
+            // guests and bots have no profile to open
+            const hasProfile = !isServiceUser(member.user);
+
+            return (
+              <button
+                key={member.user.id}
+                disabled={!hasProfile}
+                onClick={() => setProfileUserId(member.user.id)}
+                className="w-full flex items-center gap-3 py-3 text-left border-b border-gray-200 last:border-b-0 enabled:hover:bg-gray-50"
+              >
+                {member.user?.image ? (
+                  <img
+                    src={member.user.image}
+                    alt={member.user.name}
+                    className="size-9 rounded-full object-cover"
+                  />
+                ) : (
+                  <div className="size-9 rounded-full bg-gray-400 flex items-center justify-center">
+                    <span className="text-white">
+                      {(member.user.name || member.user.id).charAt(0).toUpperCase()}
+                    </span>
+                  </div>
+                )}
 
-              <div className="text-sm font-medium text-gray-700 mb-1">
-                {member.user.name || member.user.id}
-              </div>
-            </div>
-          ))}
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-700">
+                    {member.user.name || member.user.id}
+                    {member.user.pronouns && (
+                      <span className="ml-1 font-normal text-gray-500">({member.user.pronouns})</span>
+                    )}
+                  </div>
+                  {member.user.title && (
+                    <div className="text-xs text-gray-500 truncate">{member.user.title}</div>
+                  )}
+                  {status && (
+                    <div className="text-xs text-gray-500 truncate">
+                      {status.emoji} {status.text}
+                    </div>
+                  )}
+                </div>
+              </button>
+            );
+          })}
         </div>
       </div>
+
+      {profileUserId && (
+        <ProfilePanel userId={profileUserId} onClose={() => setProfileUserId(null)} />
+      )}
     </div>
   );
 }
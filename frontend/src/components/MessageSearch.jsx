@@ -0,0 +1,38 @@
+import { useState } from "react";
+import { SearchIcon } from "lucide-react";
+import SearchResultsModal from "./SearchResultsModal";
+
+// search bar for the sidebar header, results open in a modal
+const MessageSearch = () => {
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (query.trim()) setIsOpen(true);
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="input-with-icon w-full">
+        <SearchIcon className="w-4 h-4 input-icon" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search messages"
+          className="form-input"
+        />
+      </form>
+
+      {isOpen && (
+        <SearchResultsModal
+          initialQuery={query}
+          onClose={() => setIsOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default MessageSearch;
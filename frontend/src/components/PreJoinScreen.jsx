@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { useNavigate } from "react-router";
+import toast from "react-hot-toast";
+import {
+  DeviceSelectorAudioInput,
+  DeviceSelectorAudioOutput,
+  DeviceSelectorVideo,
+  StreamTheme,
+  ToggleAudioPreviewButton,
+  ToggleVideoPreviewButton,
+  VideoPreview,
+  useCall,
+  usePersistedDevicePreferences,
+} from "@stream-io/video-react-sdk";
+
+// device picks and mute toggles are kept in localStorage, so they stick per browser
+const DEVICE_PREFERENCES_KEY = "slap:call-device-preferences";
+
+// check camera, mic and speaker before going live
+const PreJoinScreen = ({ onJoin, onCancel }) => {
+  const call = useCall();
+  const navigate = useNavigate();
+  const [isJoining, setIsJoining] = useState(false);
+
+  usePersistedDevicePreferences(DEVICE_PREFERENCES_KEY);
+
+  const handleJoin = async () => {
+    setIsJoining(true);
+    try {
+      await onJoin();
+    } catch (error) {
+      console.log("Error joining call:", error);
+      toast.error("Cannot connect to the call.");
+      setIsJoining(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    // release the camera and mic the preview is holding
+    await Promise.allSettled([call.camera.disable(), call.microphone.disable()]);
+    if (onCancel) onCancel();
+    else navigate("/");
+  };
+
+  return (
+    <StreamTheme>
+      <div className="bg-white rounded-xl shadow-2xl p-6 flex flex-col gap-6 md:flex-row">
+        <div className="flex-1 flex flex-col gap-3">
+          <div className="rounded-lg overflow-hidden bg-gray-900 aspect-video">
+            <VideoPreview />
+          </div>
+          <div className="flex justify-center gap-3">
+            <ToggleAudioPreviewButton />
+            <ToggleVideoPreviewButton />
+          </div>
+        </div>
+
+        <div className="w-full md:w-72 flex flex-col gap-4">
+          <h2 className="text-xl font-semibold text-gray-900">Ready to join?</h2>
+          <p className="text-sm text-gray-600">
+            Check your camera and microphone, then join. Speak to see the level meter move.
+          </p>
+
+          <DeviceSelectorVideo title="Camera" visualType="dropdown" />
+          <DeviceSelectorAudioInput title="Microphone" visualType="dropdown" volumeIndicatorVisible />
+          <DeviceSelectorAudioOutput title="Speaker" visualType="dropdown" />
+
+          <div className="flex gap-2 mt-auto">
+            <button
+              onClick={handleCancel}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleJoin}
+              disabled={isJoining}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isJoining ? "Joining..." : "Join now"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </StreamTheme>
+  );
+};
+
+export default PreJoinScreen;
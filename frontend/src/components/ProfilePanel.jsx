@@ -0,0 +1,287 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useUser } from "@clerk/clerk-react";
+import toast from "react-hot-toast";
+import { BriefcaseIcon, ClockIcon, PencilIcon, XIcon } from "lucide-react";
+import { getMyProfile, getUserProfile, updateMyProfile } from "../lib/api";
+import { formatLocalTime } from "../lib/users";
+
+const TIME_ZONES = Intl.supportedValuesOf("timeZone");
+
+const MINUTE = 60 * 1000;
+
+// "current" keeps the expiry the status already has
+const STATUS_DURATIONS = [
+  { value: "", label: "Don't clear" },
+  { value: "30m", label: "30 minutes" },
+  { value: "1h", label: "1 hour" },
+  { value: "4h", label: "4 hours" },
+  { value: "today", label: "Today" },
+];
+
+const statusExpiry = (duration, current) => {
+  const now = new Date();
+  switch (duration) {
+    case "current":
+      return current;
+    case "30m":
+      return new Date(now.getTime() + 30 * MINUTE).toISOString();
+    case "1h":
+      return new Date(now.getTime() + 60 * MINUTE).toISOString();
+    case "4h":
+      return new Date(now.getTime() + 240 * MINUTE).toISOString();
+    case "today":
+      now.setHours(23, 59, 59, 999);
+      return now.toISOString();
+    default:
+      return null;
+  }
+};
+
+const formatExpiry = (expiresAt) =>
+  new Date(expiresAt).toLocaleString(undefined, {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const ProfileForm = ({ profile, onDone }) => {
+  const queryClient = useQueryClient();
+
+  const [title, setTitle] = useState(profile.title ?? "");
+  const [department, setDepartment] = useState(profile.department ?? "");
+  const [pronouns, setPronouns] = useState(profile.pronouns ?? "");
+  const [timezone, setTimezone] = useState(profile.timezone ?? "");
+  const [statusEmoji, setStatusEmoji] = useState(profile.status?.emoji ?? "");
+  const [statusText, setStatusText] = useState(profile.status?.text ?? "");
+  const [statusDuration, setStatusDuration] = useState(profile.status?.expiresAt ? "current" : "");
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: updateMyProfile,
+    onSuccess: (data) => {
+      queryClient.setQueryData(["user-profile", profile.id], data);
+      queryClient.invalidateQueries({ queryKey: ["user-directory"] });
+      toast.success("Profile saved");
+      onDone();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || "Failed to save profile"),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const hasStatus = statusEmoji.trim() || statusText.trim();
+    mutate({
+      title,
+      department,
+      pronouns,
+      timezone: timezone || null,
+      status: hasStatus
+        ? {
+            emoji: statusEmoji.trim(),
+            text: statusText,
+            expiresAt: statusExpiry(statusDuration, profile.status?.expiresAt),
+          }
+        : null,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="px-6 py-4 space-y-4 text-sm">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="flex flex-col gap-1">
+          Job title
+          <input
+            value={title}
+            maxLength={80}
+            onChange={(e) => setTitle(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Department
+          <input
+            value={department}
+            maxLength={80}
+            onChange={(e) => setDepartment(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Pronouns
+          <input
+            value={pronouns}
+            maxLength={30}
+            placeholder="e.g. she/her"
+            onChange={(e) => setPronouns(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Timezone
+          <select
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5"
+          >
+            <option value="">Not set</option>
+            {TIME_ZONES.map((zone) => (
+              <option key={zone} value={zone}>
+                {zone}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        <span>Status</span>
+        <div className="flex gap-2">
+          <input
+            value={statusEmoji}
+            maxLength={16}
+            placeholder="🙂"
+            onChange={(e) => setStatusEmoji(e.target.value)}
+            className="w-14 border border-gray-300 rounded-md px-2 py-1.5 text-center"
+          />
+          <input
+            value={statusText}
+            maxLength={100}
+            placeholder="What's your status?"
+            onChange={(e) => setStatusText(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1.5"
+          />
+        </div>
+        <label className="flex items-center gap-2">
+          Clear after
+          <select
+            value={statusDuration}
+            onChange={(e) => setStatusDuration(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {profile.status?.expiresAt && (
+              <option value="current">{formatExpiry(profile.status.expiresAt)}</option>
+            )}
+            {STATUS_DURATIONS.map((duration) => (
+              <option key={duration.value} value={duration.value}>
+                {duration.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" className="btn btn-secondary btn-small" onClick={onDone}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isPending} className="btn btn-primary btn-small">
+          {isPending ? "Saving..." : "Save profile"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ProfileDetails = ({ profile }) => {
+  const subtitle = [profile.title, profile.department].filter(Boolean).join(" · ");
+
+  return (
+    <div className="px-6 py-5 space-y-4">
+      <div className="flex items-center gap-4">
+        {profile.image ? (
+          <img src={profile.image} alt={profile.name} className="size-16 rounded-full object-cover" />
+        ) : (
+          <div className="size-16 rounded-full bg-gray-400 flex items-center justify-center">
+            <span className="text-2xl text-white">{profile.name.charAt(0).toUpperCase()}</span>
+          </div>
+        )}
+        <div className="min-w-0">
+          <div className="flex items-baseline gap-2">
+            <span className="text-lg font-semibold text-gray-900 truncate">{profile.name}</span>
+            {profile.pronouns && (
+              <span className="text-sm text-gray-500">({profile.pronouns})</span>
+            )}
+          </div>
+          <span className="text-xs uppercase tracking-wide text-gray-500">{profile.role}</span>
+        </div>
+      </div>
+
+      {profile.status && (
+        <div className="rounded-md bg-gray-50 border border-gray-200 px-3 py-2 text-sm text-gray-700">
+          {profile.status.emoji} {profile.status.text}
+          {profile.status.expiresAt && (
+            <span className="block text-xs text-gray-500">
+              Until {formatExpiry(profile.status.expiresAt)}
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2 text-sm text-gray-700">
+        {subtitle && (
+          <div className="flex items-center gap-2">
+            <BriefcaseIcon className="size-4 text-gray-500" />
+            {subtitle}
+          </div>
+        )}
+        {profile.timezone && (
+          <div className="flex items-center gap-2">
+            <ClockIcon className="size-4 text-gray-500" />
+            {formatLocalTime(profile.timezone)} local time ({profile.timezone})
+          </div>
+        )}
+        {profile.email && <div className="text-gray-500">{profile.email}</div>}
+      </div>
+    </div>
+  );
+};
+
+// userId is the Clerk / Stream id; your own profile opens with an edit button
+function ProfilePanel({ userId, onClose }) {
+  const { user } = useUser();
+  const isMe = user?.id === userId;
+  const [isEditing, setIsEditing] = useState(false);
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["user-profile", userId],
+    queryFn: () => (isMe ? getMyProfile() : getUserProfile(userId)),
+  });
+
+  const profile = data?.user;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">{isEditing ? "Edit profile" : "Profile"}</h2>
+          <div className="flex items-center gap-2">
+            {isMe && profile && !isEditing && (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="p-1 rounded hover:bg-gray-100"
+                title="Edit profile"
+              >
+                <PencilIcon className="size-4 text-gray-600" />
+              </button>
+            )}
+            <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+              <XIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {isLoading && <p className="px-6 py-5 text-sm text-gray-500">Loading profile...</p>}
+        {isError && <p className="px-6 py-5 text-sm text-red-600">Failed to load profile</p>}
+        {profile &&
+          (isEditing ? (
+            <ProfileForm profile={profile} onDone={() => setIsEditing(false)} />
+          ) : (
+            <ProfileDetails profile={profile} />
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default ProfilePanel;
@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { FilmIcon, XIcon } from "lucide-react";
+import { getChannelRecordings, getRecordingUrl } from "../lib/api";
+
+const formatDuration = (recording) => {
+  const seconds = Math.round((new Date(recording.endTime) - new Date(recording.startTime)) / 1000);
+  if (!(seconds > 0)) return "";
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+};
+
+// Stream's recording links expire, so a fresh one is fetched each time a recording is opened.
+// It isn't refetched while open, which would restart the video
+function RecordingPlayer({ channelId, recordingId }) {
+  const { data, isLoading, isError, error } = useQuery({
+    queryKey: ["recording-url", recordingId],
+    queryFn: () => getRecordingUrl({ channelId, recordingId }),
+    staleTime: Infinity,
+    gcTime: 0,
+  });
+
+  if (isLoading) return <div className="text-sm text-gray-500 mt-3">Loading recording...</div>;
+  if (isError) {
+    return (
+      <div className="text-sm text-red-500 mt-3">
+        {error.response?.data?.message || "Failed to load the recording"}
+      </div>
+    );
+  }
+
+  return <video src={data.url} controls autoPlay className="w-full mt-3 rounded-lg bg-black" />;
+}
+
+function RecordingsModal({ channel, onClose }) {
+  const [playingId, setPlayingId] = useState(null);
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["recordings", channel.id],
+    queryFn: () => getChannelRecordings(channel.id),
+  });
+  const recordings = data?.recordings ?? [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">Recordings</h2>
+          <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* RECORDINGS LIST */}
+        <div className="px-6 py-4 max-h-[32rem] overflow-y-auto">
+          {isLoading && <div className="text-center text-gray-500 py-8">Loading recordings...</div>}
+          {isError && (
+            <div className="text-center text-red-500 py-8">Failed to load recordings</div>
+          )}
+
+          {recordings.map((recording) => (
+            <div key={recording._id} className="py-3 border-b border-gray-200 last:border-b-0">
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">
+                    {recording.interview?.title || "Channel call"}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(recording.startTime).toLocaleString()} · {formatDuration(recording)}
+                  </div>
+                </div>
+                <button
+                  className="flex items-center gap-1 text-sm text-[#1264A3] hover:bg-[#F8F8F8] py-1 px-2 rounded shrink-0"
+                  onClick={() => setPlayingId(playingId === recording._id ? null : recording._id)}
+                >
+                  <FilmIcon className="size-4" />
+                  {playingId === recording._id ? "Hide" : "Play"}
+                </button>
+              </div>
+
+              {playingId === recording._id && (
+                <RecordingPlayer channelId={channel.id} recordingId={recording._id} />
+              )}
+            </div>
+          ))}
+
+          {!isLoading && !isError && recordings.length === 0 && (
+            <div className="text-center text-gray-500 py-8">No recordings in this channel yet</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RecordingsModal;
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { AlertCircleIcon, XIcon } from "lucide-react";
+import { createInterview } from "../lib/api";
+import { isServiceUser } from "../lib/users";
+
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const ScheduleInterviewModal = ({ channel, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [candidate, setCandidate] = useState("");
+  const [interviewers, setInterviewers] = useState([]);
+  const [startTime, setStartTime] = useState("");
+  const [duration, setDuration] = useState(60);
+  const [error, setError] = useState("");
+
+  const members = Object.values(channel.state.members)
+    .map((member) => member.user)
+    .filter((user) => user && !isServiceUser(user));
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: createInterview,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["interviews", channel.id] });
+      toast.success("Interview scheduled");
+      onClose();
+    },
+    onError: (error) => {
+      setError(error.response?.data?.message || "Failed to schedule interview");
+    },
+  });
+
+  const handleInterviewerToggle = (id) => {
+    if (interviewers.includes(id)) setInterviewers(interviewers.filter((uid) => uid !== id));
+    else setInterviewers([...interviewers, id]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!title.trim()) return setError("Title is required");
+    if (!candidate) return setError("Pick a candidate");
+    if (interviewers.length === 0) return setError("Pick at least one interviewer");
+    if (!startTime) return setError("Pick a start time");
+
+    // datetime-local values are in the browser's timezone
+    const start = new Date(startTime);
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+
+    setError("");
+    mutate({
+      title: title.trim(),
+      description,
+      candidate,
+      interviewers,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      timezone: TIMEZONE,
+      channelId: channel.id,
+    });
+  };
+
+  return (
+    <div className="create-channel-modal-overlay">
+      <div className="create-channel-modal">
+        <div className="create-channel-modal__header">
+          <h2>Schedule an interview</h2>
+          <button onClick={onClose} className="create-channel-modal__close">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="create-channel-modal__form">
+          {error && (
+            <div className="form-error">
+              <AlertCircleIcon className="w-4 h-4" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="interviewTitle">Title</label>
+            <input
+              id="interviewTitle"
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="e.g. Frontend technical round"
+              className="form-input"
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="interviewCandidate">Candidate</label>
+            <select
+              id="interviewCandidate"
+              value={candidate}
+              onChange={(e) => {
+                setCandidate(e.target.value);
+                setInterviewers(interviewers.filter((id) => id !== e.target.value));
+              }}
+              className="form-input"
+            >
+              <option value="">Select a candidate</option>
+              {members.map((user) => (
+                <option key={user.id} value={user.id}>
+                  {user.name || user.id}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Interviewers</label>
+            <div className="members-list">
+              {members
+                .filter((user) => user.id !== candidate)
+                .map((user) => (
+                  <label key={user.id} className="member-item">
+                    <input
+                      type="checkbox"
+                      checked={interviewers.includes(user.id)}
+                      onChange={() => handleInterviewerToggle(user.id)}
+                      className="member-checkbox"
+                    />
+                    <span className="member-name">{user.name || user.id}</span>
+                  </label>
+                ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="interviewStart">Start time</label>
+            <input
+              id="interviewStart"
+              type="datetime-local"
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+              className="form-input"
+            />
+            <div className="form-hint">Times are in your timezone ({TIMEZONE})</div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="interviewDuration">Duration</label>
+            <select
+              id="interviewDuration"
+              value={duration}
+              onChange={(e) => setDuration(Number(e.target.value))}
+              className="form-input"
+            >
+              <option value={30}>30 minutes</option>
+              <option value={45}>45 minutes</option>
+              <option value={60}>1 hour</option>
+              <option value={90}>1.5 hours</option>
+              <option value={120}>2 hours</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="interviewDescription">Description (optional)</label>
+            <textarea
+              id="interviewDescription"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Agenda, links, anything the panel should know"
+              className="form-textarea"
+              rows={3}
+            />
+          </div>
+
+          <div className="create-channel-modal__actions">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={isPending} className="btn btn-primary">
+              {isPending ? "Scheduling..." : "Schedule"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleInterviewModal;
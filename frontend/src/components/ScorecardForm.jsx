@@ -0,0 +1,245 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { AlertCircleIcon } from "lucide-react";
+import { getInterviewScorecards, getRubrics, submitScorecard } from "../lib/api";
+
+const RECOMMENDATIONS = [
+  { value: "strong_hire", label: "Strong hire" },
+  { value: "hire", label: "Hire" },
+  { value: "no_hire", label: "No hire" },
+  { value: "strong_no_hire", label: "Strong no hire" },
+];
+
+const recommendationLabel = (value) =>
+  RECOMMENDATIONS.find((r) => r.value === value)?.label ?? value;
+
+const scaleSteps = ({ min, max }) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+// shown to interviewers right after they leave an interview call
+const ScorecardForm = ({ interview, onDone }) => {
+  const queryClient = useQueryClient();
+
+  const [rubricId, setRubricId] = useState("");
+  const [scores, setScores] = useState({});
+  const [ratingNotes, setRatingNotes] = useState({});
+  const [recommendation, setRecommendation] = useState("");
+  const [notes, setNotes] = useState("");
+  const [error, setError] = useState("");
+
+  const { data: rubricData, isLoading: loadingRubrics } = useQuery({
+    queryKey: ["rubrics"],
+    queryFn: getRubrics,
+  });
+  const rubrics = rubricData?.rubrics ?? [];
+  const rubric = rubrics.find((r) => r._id === rubricId) ?? rubrics[0];
+
+  const { data: scorecardData, isLoading: loadingScorecards } = useQuery({
+    queryKey: ["scorecards", interview._id],
+    queryFn: () => getInterviewScorecards(interview._id),
+  });
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: submitScorecard,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["scorecards", interview._id] });
+      toast.success("Feedback submitted");
+    },
+    onError: (error) => {
+      setError(error.response?.data?.message || "Failed to submit feedback");
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const missing = rubric.competencies.find((c) => scores[c.key] === undefined);
+    if (missing) return setError(`Rate ${missing.name}`);
+    if (!recommendation) return setError("Pick a final recommendation");
+
+    setError("");
+    mutate({
+      interviewId: interview._id,
+      rubricId: rubric._id,
+      ratings: rubric.competencies.map((c) => ({
+        competency: c.key,
+        score: scores[c.key],
+        notes: ratingNotes[c.key] || "",
+      })),
+      recommendation,
+      notes,
+    });
+  };
+
+  if (loadingRubrics || loadingScorecards) {
+    return <div className="flex justify-center items-center p-8">Loading feedback form...</div>;
+  }
+
+  if (scorecardData?.myScorecard) {
+    const competencyName = (scorecard, key) =>
+      rubrics.find((r) => r._id === scorecard.rubric)?.competencies.find((c) => c.key === key)
+        ?.name ?? key;
+
+    return (
+      <div className="create-channel-modal mx-auto">
+        <div className="create-channel-modal__header">
+          <h2>Feedback submitted</h2>
+        </div>
+
+        <div className="create-channel-modal__form">
+          <div className="form-hint">
+            {scorecardData.submittedCount} of {scorecardData.interviewerCount} interviewers have
+            submitted feedback for "{interview.title}".
+          </div>
+
+          {scorecardData.scorecards.map((scorecard) => (
+            <div key={scorecard._id} className="py-3 border-b border-white/10 last:border-b-0">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-white">{scorecard.interviewerName}</span>
+                <span className="text-sm font-medium text-purple-300">
+                  {recommendationLabel(scorecard.recommendation)}
+                </span>
+              </div>
+              <ul className="text-sm text-white/80 mt-1">
+                {scorecard.ratings.map((rating) => (
+                  <li key={rating.competency}>
+                    {competencyName(scorecard, rating.competency)}: {rating.score}
+                    {rating.notes && <span className="text-white/60"> – {rating.notes}</span>}
+                  </li>
+                ))}
+              </ul>
+              {scorecard.notes && (
+                <p className="text-sm text-white/70 mt-1 whitespace-pre-line">{scorecard.notes}</p>
+              )}
+            </div>
+          ))}
+
+          {scorecardData.scorecards.length === 0 && (
+            <div className="text-center text-white/60 py-4">
+              No other interviewers have submitted yet
+            </div>
+          )}
+
+          <div className="create-channel-modal__actions">
+            <button className="btn btn-primary" onClick={onDone}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="create-channel-modal mx-auto">
+      <div className="create-channel-modal__header">
+        <h2>Interview feedback</h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="create-channel-modal__form">
+        <div className="form-hint">
+          {interview.title}. Other interviewers' scores become visible once you submit yours.
+        </div>
+
+        {error && (
+          <div className="form-error">
+            <AlertCircleIcon className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {rubrics.length > 1 && (
+          <div className="form-group">
+            <label htmlFor="rubric">Rubric</label>
+            <select
+              id="rubric"
+              value={rubric?._id}
+              onChange={(e) => {
+                setRubricId(e.target.value);
+                setScores({});
+              }}
+              className="form-input"
+            >
+              {rubrics.map((r) => (
+                <option key={r._id} value={r._id}>
+                  {r.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {rubric?.competencies.map((competency) => (
+          <div key={competency.key} className="form-group">
+            <label>{competency.name}</label>
+            {competency.description && (
+              <div className="form-hint">{competency.description}</div>
+            )}
+            <div className="flex gap-2 my-2">
+              {scaleSteps(rubric.ratingScale).map((step, i) => (
+                <button
+                  key={step}
+                  type="button"
+                  onClick={() => setScores({ ...scores, [competency.key]: step })}
+                  className={`btn btn-small ${
+                    scores[competency.key] === step ? "btn-primary" : "btn-secondary"
+                  }`}
+                >
+                  {rubric.ratingScale.labels[i] || step}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={ratingNotes[competency.key] || ""}
+              onChange={(e) => setRatingNotes({ ...ratingNotes, [competency.key]: e.target.value })}
+              placeholder="Notes (optional)"
+              className="form-input"
+            />
+          </div>
+        ))}
+
+        <div className="form-group">
+          <label>Final recommendation</label>
+          <div className="flex flex-wrap gap-2 my-2">
+            {RECOMMENDATIONS.map((r) => (
+              <button
+                key={r.value}
+                type="button"
+                onClick={() => setRecommendation(r.value)}
+                className={`btn btn-small ${
+                  recommendation === r.value ? "btn-primary" : "btn-secondary"
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="scorecardNotes">Overall notes</label>
+          <textarea
+            id="scorecardNotes"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Summary of strengths and concerns"
+            className="form-textarea"
+            rows={4}
+          />
+        </div>
+
+        <div className="create-channel-modal__actions">
+          <button type="button" onClick={onDone} className="btn btn-secondary">
+            Skip for now
+          </button>
+          <button type="submit" disabled={isPending || !rubric} className="btn btn-primary">
+            {isPending ? "Submitting..." : "Submit feedback"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ScorecardForm;
@@ -0,0 +1,191 @@
+import { useMemo, useState } from "react";
+import { useSearchParams } from "react-router";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { useChatContext } from "stream-chat-react";
+import { HashIcon, PaperclipIcon, SearchIcon, XIcon } from "lucide-react";
+import { searchMessages } from "../lib/api";
+
+const SearchResultsModal = ({ initialQuery, onClose }) => {
+  const { client } = useChatContext();
+  const [_, setSearchParams] = useSearchParams();
+
+  const [query, setQuery] = useState(initialQuery);
+  const [channelId, setChannelId] = useState("");
+  const [authorId, setAuthorId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [submitted, setSubmitted] = useState({ q: initialQuery });
+
+  // filter options come from the channels the sidebar already loaded
+  const channels = Object.values(client.activeChannels);
+  const authors = useMemo(() => {
+    const byId = new Map();
+    for (const channel of Object.values(client.activeChannels)) {
+      for (const member of Object.values(channel.state.members)) {
+        if (member.user) byId.set(member.user.id, member.user);
+      }
+    }
+    return [...byId.values()].sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+  }, [client.activeChannels]);
+
+  const { data, isLoading, isError, error, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      queryKey: ["message-search", submitted],
+      queryFn: ({ pageParam }) => searchMessages({ ...submitted, next: pageParam }),
+      initialPageParam: undefined,
+      getNextPageParam: (lastPage) => lastPage.next ?? undefined,
+    });
+  const results = data?.pages.flatMap((page) => page.results) ?? [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const params = { q: query.trim() };
+    if (channelId) params.channelId = channelId;
+    if (authorId) params.authorId = authorId;
+    if (from) params.from = new Date(from).toISOString();
+    // include the whole "to" day
+    if (to) params.to = new Date(`${to}T23:59:59.999`).toISOString();
+    if (hasAttachment) params.hasAttachment = true;
+
+    setSubmitted(params);
+  };
+
+  const jumpToResult = (result) => {
+    // thread replies are opened through their parent message
+    setSearchParams({ channel: result.channel.id, message: result.parentId || result.id });
+    onClose();
+  };
+
+  return (
+    <div className="create-channel-modal-overlay">
+      <div className="create-channel-modal">
+        <div className="create-channel-modal__header">
+          <h2>Search messages</h2>
+          <button onClick={onClose} className="create-channel-modal__close">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="create-channel-modal__form">
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <div className="input-with-icon">
+                <SearchIcon className="w-4 h-4 input-icon" />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search, or type has:attachment"
+                  className="form-input"
+                  autoFocus
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={channelId}
+                onChange={(e) => setChannelId(e.target.value)}
+                className="form-input"
+              >
+                <option value="">All channels</option>
+                {channels.map((channel) => (
+                  <option key={channel.id} value={channel.id}>
+                    {channel.data?.name || channel.id}
+                  </option>
+                ))}
+              </select>
+
+              <select
+                value={authorId}
+                onChange={(e) => setAuthorId(e.target.value)}
+                className="form-input"
+              >
+                <option value="">Anyone</option>
+                {authors.map((user) => (
+                  <option key={user.id} value={user.id}>
+                    {user.name || user.id}
+                  </option>
+                ))}
+              </select>
+
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="form-input"
+                title="From"
+              />
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="form-input"
+                title="To"
+              />
+            </div>
+
+            <div className="flex items-center justify-between mt-3">
+              <label className="flex items-center gap-2 text-sm text-white/80 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={hasAttachment}
+                  onChange={(e) => setHasAttachment(e.target.checked)}
+                  className="member-checkbox"
+                />
+                Has attachment
+              </label>
+              <button type="submit" className="btn btn-primary btn-small">
+                Search
+              </button>
+            </div>
+          </form>
+
+          <div className="mt-4">
+            {isLoading && <div className="loading-message">Searching...</div>}
+            {isError && (
+              <div className="error-message">
+                {error.response?.data?.message || "Search failed"}
+              </div>
+            )}
+            {!isLoading && !isError && results.length === 0 && (
+              <div className="empty-message">No messages found</div>
+            )}
+
+            {results.map((result) => (
+              <button
+                key={result.id}
+                onClick={() => jumpToResult(result)}
+                className="w-full text-left p-3 mb-2 rounded-lg bg-white/5 hover:bg-white/10 transition-colors"
+              >
+                <div className="flex items-center gap-2 text-xs text-white/60">
+                  <HashIcon className="size-3" />
+                  <span>{result.channel.name}</span>
+                  <span>·</span>
+                  <span>{new Date(result.createdAt).toLocaleString()}</span>
+                  {result.attachmentCount > 0 && <PaperclipIcon className="size-3" />}
+                </div>
+                <div className="text-sm font-medium text-white mt-1">{result.user.name}</div>
+                <div className="text-sm text-white/80 line-clamp-2">{result.text}</div>
+              </button>
+            ))}
+
+            {hasNextPage && (
+              <button
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="btn btn-secondary btn-small w-full"
+              >
+                {isFetchingNextPage ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchResultsModal;
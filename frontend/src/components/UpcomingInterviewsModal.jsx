@@ -0,0 +1,199 @@
+import { useState } from "react";
+import { useNavigate } from "react-router";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import {
+  CalendarArrowDownIcon,
+  CalendarClockIcon,
+  CalendarPlusIcon,
+  CalendarSyncIcon,
+  LinkIcon,
+  VideoIcon,
+  XIcon,
+} from "lucide-react";
+import { downloadInterviewInvite, getInterviews, updateInterview } from "../lib/api";
+import ScheduleInterviewModal from "./ScheduleInterviewModal";
+import GuestInviteModal from "./GuestInviteModal";
+import CalendarFeedModal from "./CalendarFeedModal";
+import AvailabilityModal from "./AvailabilityModal";
+
+const formatTimeRange = (interview) => {
+  const start = new Date(interview.startTime);
+  const end = new Date(interview.endTime);
+  const date = start.toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return `${date}, ${time(start)} – ${time(end)}`;
+};
+
+function UpcomingInterviewsModal({ channel, onClose }) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [guestLinksFor, setGuestLinksFor] = useState(null);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
+  const [showAvailability, setShowAvailability] = useState(false);
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["interviews", channel.id],
+    queryFn: () => getInterviews({ channelId: channel.id, upcoming: true }),
+  });
+  const interviews = data?.interviews ?? [];
+
+  const memberName = (id) => channel.state.members[id]?.user?.name || id;
+
+  const { mutate: setStatus } = useMutation({
+    mutationFn: updateInterview,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["interviews", channel.id] }),
+    onError: () => toast.error("Failed to update interview"),
+  });
+
+  const handleStart = async (interview) => {
+    try {
+      if (interview.status === "scheduled") {
+        const callUrl = `${window.location.origin}/call/${interview.callId}`;
+        await channel.sendMessage({
+          text: `Good day, I have initiated the video call for our scheduled interview "${interview.title}" : ${callUrl}`,
+        });
+        // the interview moves to in_progress when a host admits the candidate from the lobby
+      }
+      navigate(`/call/${interview.callId}`);
+    } catch (error) {
+      console.log("Error starting interview", error);
+      toast.error("Failed to start the interview");
+    }
+  };
+
+  const handleDownloadInvite = async (interview) => {
+    try {
+      const blob = await downloadInterviewInvite(interview._id);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${interview.title}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log("Error downloading invite", error);
+      toast.error("Failed to download the invite");
+    }
+  };
+
+  if (showAvailability) return <AvailabilityModal onClose={() => setShowAvailability(false)} />;
+
+  if (showCalendarFeed) return <CalendarFeedModal onClose={() => setShowCalendarFeed(false)} />;
+
+  if (showSchedule) {
+    return <ScheduleInterviewModal channel={channel} onClose={() => setShowSchedule(false)} />;
+  }
+
+  if (guestLinksFor) {
+    return (
+      <GuestInviteModal
+        channel={channel}
+        interview={guestLinksFor}
+        onClose={() => setGuestLinksFor(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-4">
+        {/* HEADER */}
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-2xl font-semibold">Upcoming Interviews</h2>
+          <div className="flex items-center gap-2">
+            <button
+              className="p-1 text-gray-500 hover:bg-[#F8F8F8] rounded"
+              onClick={() => setShowAvailability(true)}
+              title="Availability"
+            >
+              <CalendarClockIcon className="size-5" />
+            </button>
+            <button
+              className="p-1 text-gray-500 hover:bg-[#F8F8F8] rounded"
+              onClick={() => setShowCalendarFeed(true)}
+              title="Calendar feed"
+            >
+              <CalendarSyncIcon className="size-5" />
+            </button>
+            <button className="btn btn-primary btn-small" onClick={() => setShowSchedule(true)}>
+              <CalendarPlusIcon className="size-4" />
+              Schedule
+            </button>
+            <button onClick={onClose} className="text-2xl text-gray-500 hover:text-gray-700">
+              <XIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* INTERVIEWS LIST */}
+        <div className="px-6 py-4 max-h-96 overflow-y-auto">
+          {isLoading && <div className="text-center text-gray-500 py-8">Loading interviews...</div>}
+          {isError && (
+            <div className="text-center text-red-500 py-8">Failed to load interviews</div>
+          )}
+
+          {interviews.map((interview) => (
+            <div
+              key={interview._id}
+              className="flex items-center justify-between gap-3 py-3 border-b border-gray-200 last:border-b-0"
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">{interview.title}</div>
+                <div className="text-xs text-gray-500">{formatTimeRange(interview)}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  Candidate: {memberName(interview.candidate)} · Panel:{" "}
+                  {interview.interviewers.map(memberName).join(", ")}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2 shrink-0">
+                <button
+                  className="flex items-center gap-1 text-sm text-[#1264A3] hover:bg-[#F8F8F8] py-1 px-2 rounded"
+                  onClick={() => handleStart(interview)}
+                >
+                  <VideoIcon className="size-4" />
+                  {interview.status === "in_progress" ? "Join" : "Start"}
+                </button>
+                <button
+                  className="p-1 text-gray-500 hover:bg-[#F8F8F8] rounded"
+                  onClick={() => setGuestLinksFor(interview)}
+                  title="Guest links"
+                >
+                  <LinkIcon className="size-4" />
+                </button>
+                <button
+                  className="p-1 text-gray-500 hover:bg-[#F8F8F8] rounded"
+                  onClick={() => handleDownloadInvite(interview)}
+                  title="Add to calendar (.ics)"
+                >
+                  <CalendarArrowDownIcon className="size-4" />
+                </button>
+                {interview.status === "scheduled" && (
+                  <button
+                    className="text-sm text-gray-500 hover:text-red-600 py-1 px-2 rounded"
+                    onClick={() => setStatus({ id: interview._id, status: "cancelled" })}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {!isLoading && !isError && interviews.length === 0 && (
+            <div className="text-center text-gray-500 py-8">No upcoming interviews</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UpcomingInterviewsModal;
@@ -0,0 +1,20 @@
+import { useUser } from "@clerk/clerk-react";
+
+const ROLES = ["admin", "interviewer", "candidate"];
+
+// the role lives in the Clerk user's public metadata (the backend syncs the same value to Mongo)
+// anyone without a known role is treated as a candidate
+
+export const useRole = () => {
+  const { user } = useUser();
+
+  const metadataRole = user?.publicMetadata?.role;
+  const role = ROLES.includes(metadataRole) ? metadataRole : "candidate";
+
+  return {
+    role,
+    isAdmin: role === "admin",
+    isStaff: role === "admin" || role === "interviewer",
+    hasRole: (...roles) => roles.includes(role),
+  };
+};
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { keepPreviousData, useInfiniteQuery } from "@tanstack/react-query";
+import { getUserDirectory } from "../lib/api";
+
+const SEARCH_DELAY_MS = 250;
+
+// pages through the user directory in name order; the search only goes out once typing pauses,
+// and the previous results stay on screen until the new ones arrive
+export const useUserDirectory = ({ search = "", role } = {}) => {
+  const [query, setQuery] = useState(search.trim());
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const params = {};
+  if (query) params.q = query;
+  if (role) params.role = role;
+
+  const directory = useInfiniteQuery({
+    queryKey: ["user-directory", params],
+    queryFn: ({ pageParam }) => getUserDirectory({ ...params, next: pageParam }),
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) => lastPage.next ?? undefined,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60,
+  });
+
+  return { ...directory, users: directory.data?.pages.flatMap((page) => page.users) ?? [] };
+};
@@ -3,4 +3,194 @@ import { axiosInstance } from "./axios";
 export async function getStreamToken() {
   const response = await axiosInstance.get("/chat/token");
   return response.data;
-}
\ No newline at end of file
+}
+
+export async function getInterviews(params = {}) {
+  const response = await axiosInstance.get("/interviews", { params });
+  return response.data;
+}
+
+export async function createInterview(interviewData) {
+  const response = await axiosInstance.post("/interviews", interviewData);
+  return response.data;
+}
+
+export async function updateInterview({ id, ...updates }) {
+  const response = await axiosInstance.patch(`/interviews/${id}`, updates);
+  return response.data;
+}
+
+export async function deleteInterview(id) {
+  const response = await axiosInstance.delete(`/interviews/${id}`);
+  return response.data;
+}
+
+export async function getRubrics() {
+  const response = await axiosInstance.get("/scorecards/rubrics");
+  return response.data;
+}
+
+export async function getInterviewScorecards(interviewId) {
+  const response = await axiosInstance.get(`/scorecards/interview/${interviewId}`);
+  return response.data;
+}
+
+export async function submitScorecard({ interviewId, ...scorecard }) {
+  const response = await axiosInstance.post(`/scorecards/interview/${interviewId}`, scorecard);
+  return response.data;
+}
+
+export async function createChannel(channelData) {
+  const response = await axiosInstance.post("/channels", channelData);
+  return response.data;
+}
+
+export async function addChannelMembers({ channelId, userIds }) {
+  const response = await axiosInstance.post(`/channels/${channelId}/members`, { userIds });
+  return response.data;
+}
+
+export async function exportChannel({ channelId, format }) {
+  const response = await axiosInstance.get(`/channels/${channelId}/export`, {
+    params: { format },
+    responseType: "blob",
+  });
+  return response.data;
+}
+
+export async function searchMessages(params) {
+  const response = await axiosInstance.get("/search/messages", { params });
+  return response.data;
+}
+
+export async function authorizeCall(callId) {
+  const response = await axiosInstance.post(`/calls/${callId}/authorize`);
+  return response.data;
+}
+
+export async function enterLobby(callId) {
+  const response = await axiosInstance.post(`/calls/${callId}/lobby`);
+  return response.data;
+}
+
+export async function getLobby(callId) {
+  const response = await axiosInstance.get(`/calls/${callId}/lobby`);
+  return response.data;
+}
+
+export async function decideLobbyRequest({ callId, userId, decision }) {
+  const response = await axiosInstance.post(`/calls/${callId}/lobby/${userId}/${decision}`);
+  return response.data;
+}
+
+export async function getChannelRecordings(channelId) {
+  const response = await axiosInstance.get(`/channels/${channelId}/recordings`);
+  return response.data;
+}
+
+export async function getRecordingUrl({ channelId, recordingId }) {
+  const response = await axiosInstance.get(`/channels/${channelId}/recordings/${recordingId}/url`);
+  return response.data;
+}
+
+export async function getGuestInvites(params) {
+  const response = await axiosInstance.get("/invites", { params });
+  return response.data;
+}
+
+export async function createGuestInvite(inviteData) {
+  const response = await axiosInstance.post("/invites", inviteData);
+  return response.data;
+}
+
+export async function revokeGuestInvite(id) {
+  const response = await axiosInstance.delete(`/invites/${id}`);
+  return response.data;
+}
+
+export async function getGuestToken({ token, name }) {
+  const response = await axiosInstance.post("/chat/guest-token", { token, name });
+  return response.data;
+}
+
+// guest routes take the session token from getGuestToken instead of a Clerk session
+const guestHeaders = (sessionToken) => ({ headers: { "X-Guest-Session": sessionToken } });
+
+export async function enterGuestLobby(sessionToken) {
+  const response = await axiosInstance.post("/guest/lobby", null, guestHeaders(sessionToken));
+  return response.data;
+}
+
+export async function getGuestMessages(sessionToken) {
+  const response = await axiosInstance.get("/guest/messages", guestHeaders(sessionToken));
+  return response.data;
+}
+
+export async function sendGuestMessage({ sessionToken, text }) {
+  const response = await axiosInstance.post(
+    "/guest/messages",
+    { text },
+    guestHeaders(sessionToken)
+  );
+  return response.data;
+}
+
+export async function downloadInterviewInvite(id) {
+  const response = await axiosInstance.get(`/interviews/${id}/ics`, { responseType: "blob" });
+  return response.data;
+}
+
+export async function getCalendarFeedUrl() {
+  const response = await axiosInstance.get("/calendar/feed-url");
+  return response.data;
+}
+
+export async function rotateCalendarFeedUrl() {
+  const response = await axiosInstance.post("/calendar/feed-url/rotate");
+  return response.data;
+}
+
+export async function getMyAvailability() {
+  const response = await axiosInstance.get("/availability/me");
+  return response.data;
+}
+
+export async function updateMyAvailability(availability) {
+  const response = await axiosInstance.put("/availability/me", availability);
+  return response.data;
+}
+
+export async function getBookingPage(slug) {
+  const response = await axiosInstance.get(`/availability/${slug}`);
+  return response.data;
+}
+
+export async function bookSlot({ slug, startTime }) {
+  const response = await axiosInstance.post(`/availability/${slug}/book`, { startTime });
+  return response.data;
+}
+
+export async function getAuditLogs(params) {
+  const response = await axiosInstance.get("/audit", { params });
+  return response.data;
+}
+
+export async function getMyProfile() {
+  const response = await axiosInstance.get("/users/me");
+  return response.data;
+}
+
+export async function updateMyProfile(profile) {
+  const response = await axiosInstance.patch("/users/me", profile);
+  return response.data;
+}
+
+export async function getUserProfile(id) {
+  const response = await axiosInstance.get(`/users/${id}`);
+  return response.data;
+}
+
+export async function getUserDirectory(params) {
+  const response = await axiosInstance.get("/users", { params });
+  return response.data;
+}
@@ -0,0 +1,18 @@
+// Stream users that aren't people with an account: call recorders, invite-link guests
+// and the bot that posts reminders
+const SERVICE_USER_PREFIXES = ["recording-", "guest_", "system-"];
+
+export const isServiceUser = (user) =>
+  SERVICE_USER_PREFIXES.some((prefix) => user.id.startsWith(prefix));
+
+// the custom status on a Stream user, or null once it has expired (the cleanup job runs every
+// 15 minutes, so an expired one can still be on the user for a while)
+export const getActiveStatus = (user) => {
+  if (!user?.status_emoji && !user?.status_text) return null;
+  if (user.status_expires_at && new Date(user.status_expires_at) <= new Date()) return null;
+  return { emoji: user.status_emoji || "", text: user.status_text || "" };
+};
+
+// e.g. "3:42 PM" on the clock in that timezone
+export const formatLocalTime = (timeZone, date = new Date()) =>
+  new Intl.DateTimeFormat(undefined, { timeStyle: "short", timeZone }).format(date);
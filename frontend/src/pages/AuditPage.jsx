@@ -0,0 +1,208 @@
+import { useState } from "react";
+import { Link, Navigate } from "react-router";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { ArrowLeftIcon, ScrollTextIcon } from "lucide-react";
+import { getAuditLogs } from "../lib/api";
+import { useRole } from "../hooks/useRole";
+
+import "../styles/stream-chat-theme.css";
+
+const ACTIONS = [
+  "channel.created",
+  "channel.deleted",
+  "member.added",
+  "member.removed",
+  "interview.created",
+  "interview.booked",
+  "interview.updated",
+  "interview.deleted",
+  "interview.cancelled",
+  "guest_invite.created",
+  "guest_invite.revoked",
+  "call.admitted",
+  "call.denied",
+  "user.role_changed",
+  "user.deleted",
+  "user.provisioning_retried",
+  "reconciliation.requested",
+];
+
+const SOURCES = [
+  { value: "api", label: "App" },
+  { value: "stream", label: "Stream webhook" },
+  { value: "clerk", label: "Clerk" },
+];
+
+const who = (name, id) => (name ? `${name} (${id})` : id);
+
+// admin-only, read-only view of the audit log
+const AuditPage = () => {
+  const { isAdmin } = useRole();
+
+  const [action, setAction] = useState("");
+  const [source, setSource] = useState("");
+  const [actorId, setActorId] = useState("");
+  const [targetId, setTargetId] = useState("");
+  const [channelId, setChannelId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [submitted, setSubmitted] = useState({});
+
+  const { data, isLoading, isError, error, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      queryKey: ["audit-log", submitted],
+      queryFn: ({ pageParam }) => getAuditLogs({ ...submitted, next: pageParam }),
+      initialPageParam: undefined,
+      getNextPageParam: (lastPage) => lastPage.next ?? undefined,
+      enabled: isAdmin,
+    });
+  const entries = data?.pages.flatMap((page) => page.entries) ?? [];
+
+  if (!isAdmin) return <Navigate to="/" replace />;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const params = {};
+    if (action) params.action = action;
+    if (source) params.source = source;
+    if (actorId.trim()) params.actorId = actorId.trim();
+    if (targetId.trim()) params.targetId = targetId.trim();
+    if (channelId.trim()) params.channelId = channelId.trim();
+    if (from) params.from = new Date(from).toISOString();
+    // include the whole "to" day
+    if (to) params.to = new Date(`${to}T23:59:59.999`).toISOString();
+
+    setSubmitted(params);
+  };
+
+  const inputClass = "border border-gray-300 rounded-md px-2 py-1.5 text-sm";
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="bg-white rounded-xl shadow-2xl max-w-6xl mx-auto">
+        {/* HEADER */}
+        <div className="flex items-center gap-3 border-b px-6 py-4">
+          <Link to="/" className="p-1 text-gray-500 hover:bg-[#F8F8F8] rounded" title="Back">
+            <ArrowLeftIcon className="size-5" />
+          </Link>
+          <ScrollTextIcon className="size-6 text-gray-700" />
+          <h1 className="text-2xl font-semibold">Audit log</h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-4 gap-3 px-6 py-4 border-b">
+          <select value={action} onChange={(e) => setAction(e.target.value)} className={inputClass}>
+            <option value="">All actions</option>
+            {ACTIONS.map((a) => (
+              <option key={a} value={a}>
+                {a}
+              </option>
+            ))}
+          </select>
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+            <option value="">Any source</option>
+            {SOURCES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+          <input
+            value={actorId}
+            onChange={(e) => setActorId(e.target.value)}
+            placeholder="Actor user id"
+            className={inputClass}
+          />
+          <input
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            placeholder="Target id"
+            className={inputClass}
+          />
+          <input
+            value={channelId}
+            onChange={(e) => setChannelId(e.target.value)}
+            placeholder="Channel id"
+            className={inputClass}
+          />
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className={inputClass}
+            title="From"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className={inputClass}
+            title="To"
+          />
+          <button type="submit" className="btn btn-primary btn-small">
+            Filter
+          </button>
+        </form>
+
+        <div className="px-6 py-4 overflow-x-auto">
+          {isLoading && <div className="text-center text-gray-500 py-8">Loading audit log...</div>}
+          {isError && (
+            <div className="text-center text-red-500 py-8">
+              {error.response?.data?.message || "Failed to load audit log"}
+            </div>
+          )}
+          {!isLoading && !isError && entries.length === 0 && (
+            <div className="text-center text-gray-500 py-8">No matching entries</div>
+          )}
+
+          {entries.length > 0 && (
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-500 border-b">
+                <tr>
+                  <th className="py-2 pr-4 font-medium">When</th>
+                  <th className="py-2 pr-4 font-medium">Action</th>
+                  <th className="py-2 pr-4 font-medium">Actor</th>
+                  <th className="py-2 pr-4 font-medium">Target</th>
+                  <th className="py-2 pr-4 font-medium">Channel</th>
+                  <th className="py-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry._id} className="border-b last:border-b-0 align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {new Date(entry.occurredAt).toLocaleString()}
+                    </td>
+                    <td className="py-2 pr-4 font-mono">{entry.action}</td>
+                    <td className="py-2 pr-4">
+                      {entry.actorId ? who(entry.actorName, entry.actorId) : `(${entry.source})`}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {entry.targetId && who(entry.targetName, entry.targetId)}
+                    </td>
+                    <td className="py-2 pr-4">{entry.channelId && `#${entry.channelId}`}</td>
+                    <td className="py-2 font-mono text-xs text-gray-600 break-all">
+                      {entry.details && JSON.stringify(entry.details)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {hasNextPage && (
+            <button
+              onClick={() => fetchNextPage()}
+              disabled={isFetchingNextPage}
+              className="btn btn-secondary btn-small w-full mt-4"
+            >
+              {isFetchingNextPage ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditPage;
@@ -0,0 +1,175 @@
+import { useMemo, useState } from "react";
+import { Link, useParams } from "react-router";
+import { SignInButton, useAuth } from "@clerk/clerk-react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { AlertCircleIcon, CalendarCheckIcon, ClockIcon } from "lucide-react";
+import { bookSlot, getBookingPage } from "../lib/api";
+import PageLoader from "../components/PageLoader";
+
+import "../styles/stream-chat-theme.css";
+
+// slots come back in UTC, candidates pick them in their own timezone
+const groupByDay = (slots) => {
+  const days = new Map();
+  for (const slot of slots) {
+    const day = new Date(slot.startTime).toLocaleDateString(undefined, {
+      weekday: "long",
+      month: "short",
+      day: "numeric",
+    });
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(slot);
+  }
+  return [...days.entries()];
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+
+// public booking page for an interviewer's published availability, booking needs sign-in
+const BookingPage = () => {
+  const { slug } = useParams();
+  const { isSignedIn } = useAuth();
+  const [selected, setSelected] = useState(null);
+
+  const { data, isLoading, isError, error, refetch } = useQuery({
+    queryKey: ["booking-page", slug],
+    queryFn: () => getBookingPage(slug),
+    retry: false,
+  });
+  const days = useMemo(() => groupByDay(data?.slots ?? []), [data]);
+
+  const {
+    mutate,
+    isPending,
+    error: bookingError,
+    data: booking,
+  } = useMutation({
+    mutationFn: bookSlot,
+    onError: (error) => {
+      // somebody else got the slot first, show what's still free
+      if (error.response?.status === 409) {
+        setSelected(null);
+        refetch();
+      }
+    },
+  });
+
+  if (isLoading) return <PageLoader />;
+
+  if (isError) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center space-y-3">
+          <AlertCircleIcon className="size-10 text-red-500 mx-auto" />
+          <p className="text-gray-700">
+            {error.response?.data?.message || "This booking page couldn't be loaded"}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (booking) {
+    const { interview } = booking;
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-50">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-4 p-6 text-center space-y-4">
+          <CalendarCheckIcon className="size-10 text-green-600 mx-auto" />
+          <h1 className="text-2xl font-semibold">You're booked</h1>
+          <p className="text-gray-600">
+            {interview.title}
+            <br />
+            {new Date(interview.startTime).toLocaleString()} – {formatTime(interview.endTime)}
+          </p>
+          <div className="flex justify-center gap-2">
+            <Link to={`/?channel=${interview.channelId}`} className="btn btn-secondary btn-small">
+              Open channel
+            </Link>
+            <Link to={`/call/${interview.callId}`} className="btn btn-primary btn-small">
+              Join link
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-8">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-4">
+        {/* HEADER */}
+        <div className="flex items-center gap-3 border-b px-6 py-4">
+          {data.interviewer.image && (
+            <img src={data.interviewer.image} alt="" className="size-10 rounded-full" />
+          )}
+          <div>
+            <h1 className="text-2xl font-semibold">{data.title}</h1>
+            <p className="text-sm text-gray-500 flex items-center gap-1">
+              <ClockIcon className="size-4" />
+              {data.slotMinutes} minutes with {data.interviewer.name || "an interviewer"}
+            </p>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-500">
+            Times are shown in your timezone ({Intl.DateTimeFormat().resolvedOptions().timeZone}).
+          </p>
+
+          {bookingError && (
+            <div className="flex items-center gap-2 text-sm text-red-600">
+              <AlertCircleIcon className="size-4" />
+              <span>{bookingError.response?.data?.message || "Failed to book this slot"}</span>
+            </div>
+          )}
+
+          {days.length === 0 && (
+            <div className="text-center text-gray-500 py-8">No open slots right now</div>
+          )}
+
+          <div className="max-h-[50vh] overflow-y-auto space-y-4">
+            {days.map(([day, slots]) => (
+              <div key={day}>
+                <h2 className="text-sm font-semibold text-gray-700 mb-2">{day}</h2>
+                <div className="flex flex-wrap gap-2">
+                  {slots.map((slot) => (
+                    <button
+                      key={slot.startTime}
+                      onClick={() => setSelected(slot)}
+                      className={`px-3 py-1.5 rounded-md border text-sm ${
+                        selected?.startTime === slot.startTime
+                          ? "bg-purple-600 border-purple-600 text-white"
+                          : "border-gray-300 hover:bg-gray-100"
+                      }`}
+                    >
+                      {formatTime(slot.startTime)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end">
+            {isSignedIn ? (
+              <button
+                disabled={!selected || isPending}
+                onClick={() => mutate({ slug, startTime: selected.startTime })}
+                className="btn btn-primary btn-small"
+              >
+                {isPending ? "Booking..." : "Book this slot"}
+              </button>
+            ) : (
+              <SignInButton mode="modal">
+                <button className="btn btn-primary btn-small">Sign in to book</button>
+              </SignInButton>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingPage;
@@ -1,17 +1,30 @@
-import { useEffect, useState } from "react";
-import { useParams, useNavigate } from "react-router";
-import { useQuery } from "@tanstack/react-query";
+import { useCallback, useEffect, useState } from "react";
+import { Link, useParams, useNavigate } from "react-router";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { useUser } from "@clerk/clerk-react";
 import toast from "react-hot-toast";
+import { ShieldAlertIcon } from "lucide-react";
 
-import { getStreamToken } from "../lib/api";
+import { authorizeCall, getInterviews } from "../lib/api";
+import ScorecardForm from "../components/ScorecardForm";
+import CallLobby from "../components/CallLobby";
+import LobbyPanel from "../components/LobbyPanel";
+import PreJoinScreen from "../components/PreJoinScreen";
 
 import {
   StreamVideo,
   StreamVideoClient,
   StreamCall,
-  CallControls,
+  CancelCallButton,
+  OwnCapability,
+  ReactionsButton,
+  RecordCallButton,
+  Restricted,
+  ScreenShareButton,
   SpeakerLayout,
+  SpeakingWhileMutedNotification,
+  ToggleAudioPublishingButton,
+  ToggleVideoPublishingButton,
   StreamTheme,
   CallingState,
   useCallStateHooks,
@@ -24,20 +37,41 @@ const STREAM_API_KEY = import.meta.env.VITE_STREAM_API_KEY;
 const CallPage = () => {
   const { id: callId } = useParams();
   const { user, isLoaded } = useUser();
+  const queryClient = useQueryClient();
 
   const [client, setClient] = useState(null);
   const [call, setCall] = useState(null);
   const [isConnecting, setIsConnecting] = useState(true);
+  const [hasJoined, setHasJoined] = useState(false);
+
+  // the backend checks we belong to the interview or channel behind this call
+  const { data: callAccess, error: accessError } = useQuery({
+    queryKey: ["call-access", callId],
+    queryFn: () => authorizeCall(callId),
+    enabled: !!user && !!callId,
+    retry: false,
+    // a fresh token is fetched by the client's token provider
+    staleTime: Infinity,
+  });
 
-  const { data: tokenData } = useQuery({
-    queryKey: ["streamToken"],
-    queryFn: getStreamToken,
-    enabled: !!user,
+  // the scheduled interview behind this call, if any
+  const { data: interviewData } = useQuery({
+    queryKey: ["interview-by-call", callId],
+    queryFn: () => getInterviews({ callId }),
+    enabled: !!user && !!callId,
   });
+  const interview = interviewData?.interviews?.[0];
+  const isInterviewer = !!interview && interview.interviewers.includes(user?.id);
+
+  // once a host admits us, ask again for the access response that now carries a token
+  const handleAdmitted = useCallback(
+    () => queryClient.invalidateQueries({ queryKey: ["call-access", callId] }),
+    [queryClient, callId]
+  );
 
   useEffect(() => {
     const initCall = async () => {
-      if (!tokenData.token || !user || !callId) return;
+      if (!callAccess?.token || !user || !callId) return;
 
       try {
         const videoClient = new StreamVideoClient({
@@ -47,11 +81,14 @@ const CallPage = () => {
             name: user.fullName,
             image: user.imageUrl,
           },
-          token: tokenData.token,
+          token: callAccess.token,
+          // call tokens are short-lived
+          tokenProvider: () => authorizeCall(callId).then((data) => data.token),
         });
 
-        const callInstance = videoClient.call("default", callId);
-        await callInstance.join({ create: true });
+        const callInstance = videoClient.call(callAccess.callType, callId);
+        // load the call (and its device settings) now, join once the pre-join check is done
+        await callInstance.getOrCreate();
 
         setClient(videoClient);
         setCall(callInstance);
@@ -64,7 +101,36 @@ const CallPage = () => {
     };
 
     initCall();
-  }, [tokenData, user, callId]);
+  }, [callAccess, user, callId]);
+
+  const handleJoin = async () => {
+    await call.join();
+    setHasJoined(true);
+  };
+
+  if (accessError) {
+    const denied = [403, 404].includes(accessError.response?.status);
+    return (
+      <div className="h-screen flex flex-col items-center justify-center gap-4 bg-gray-100 text-center px-4">
+        <ShieldAlertIcon className="size-12 text-red-500" />
+        <h1 className="text-xl font-semibold text-gray-900">
+          {denied ? "You can't join this call" : "Could not check access to this call"}
+        </h1>
+        <p className="text-gray-600 max-w-md">
+          {denied
+            ? accessError.response?.data?.message || "You are not allowed to join this call."
+            : "Please refresh or try again later."}
+        </p>
+        <Link to="/" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+          Back to chat
+        </Link>
+      </div>
+    );
+  }
+
+  if (callAccess?.lobby && !callAccess.token) {
+    return <CallLobby callId={callId} onAdmitted={handleAdmitted} />;
+  }
 
   if (isConnecting || !isLoaded) {
     return <div className="h-screen flex justify-center items-center">Connecting to call...</div>;
@@ -76,7 +142,15 @@ const CallPage = () => {
         {client && call ? (
           <StreamVideo client={client}>
             <StreamCall call={call}>
-              <CallContent />
+              {hasJoined ? (
+                <CallContent
+                  interview={isInterviewer ? interview : null}
+                  isHost={callAccess.role === "host"}
+                  lobbyCallId={callAccess.role === "host" ? callId : null}
+                />
+              ) : (
+                <PreJoinScreen onJoin={handleJoin} />
+              )}
             </StreamCall>
           </StreamVideo>
         ) : (
@@ -89,18 +163,48 @@ const CallPage = () => {
   );
 };
 
-const CallContent = () => {
-  const { useCallCallingState } = useCallStateHooks();
+const CallContent = ({ interview, isHost, lobbyCallId }) => {
+  const { useCallCallingState, useIsCallRecordingInProgress } = useCallStateHooks();
 
   const callingState = useCallCallingState();
+  const isRecording = useIsCallRecordingInProgress();
   const navigate = useNavigate();
 
-  if (callingState === CallingState.LEFT) return navigate("/");
+  if (callingState === CallingState.LEFT) {
+    // interviewers go straight to the feedback form instead of back home
+    if (interview) return <ScorecardForm interview={interview} onDone={() => navigate("/")} />;
+    return navigate("/");
+  }
 
   return (
     <StreamTheme>
+      {lobbyCallId && <LobbyPanel callId={lobbyCallId} />}
+      {isRecording && (
+        <div className="absolute top-4 left-4 z-10 flex items-center gap-2 rounded-full bg-red-600 px-3 py-1 text-sm text-white">
+          <span className="size-2 rounded-full bg-white animate-pulse" />
+          Recording
+        </div>
+      )}
       <SpeakerLayout />
-      <CallControls />
+      {/* the default CallControls, with recording limited to hosts */}
+      <div className="str-video__call-controls">
+        <Restricted requiredGrants={[OwnCapability.SEND_AUDIO]}>
+          <SpeakingWhileMutedNotification>
+            <ToggleAudioPublishingButton />
+          </SpeakingWhileMutedNotification>
+        </Restricted>
+        <Restricted requiredGrants={[OwnCapability.SEND_VIDEO]}>
+          <ToggleVideoPublishingButton />
+        </Restricted>
+        <Restricted requiredGrants={[OwnCapability.CREATE_REACTION]}>
+          <ReactionsButton />
+        </Restricted>
+        <Restricted requiredGrants={[OwnCapability.SCREENSHARE]}>
+          <ScreenShareButton />
+        </Restricted>
+        {isHost && <RecordCallButton />}
+        <CancelCallButton />
+      </div>
     </StreamTheme>
   );
 };
@@ -0,0 +1,103 @@
+import { useCallback, useState } from "react";
+import { useParams } from "react-router";
+import { useMutation } from "@tanstack/react-query";
+import { AlertCircleIcon, VideoIcon } from "lucide-react";
+import { getGuestToken } from "../lib/api";
+import GuestCall from "../components/GuestCall";
+import GuestChat from "../components/GuestChat";
+
+// invite links are single use, so keep the session to survive a page refresh
+const sessionKey = (token) => `slap:guest-session:${token}`;
+
+const loadSession = (token) => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(sessionKey(token)));
+    // sessions saved before guests got a session token can't be used anymore
+    if (session?.sessionToken && new Date(session.expiresAt) > new Date()) return session;
+  } catch {
+    // fall through to a fresh session
+  }
+  sessionStorage.removeItem(sessionKey(token));
+  return null;
+};
+
+// where external candidates land from a guest invite link, no Clerk account needed
+const GuestPage = () => {
+  const { token } = useParams();
+  const [session, setSession] = useState(() => loadSession(token));
+  const [name, setName] = useState("");
+  const [inCall, setInCall] = useState(false);
+
+  const { mutate, isPending, error } = useMutation({
+    mutationFn: getGuestToken,
+    onSuccess: (data) => {
+      sessionStorage.setItem(sessionKey(token), JSON.stringify(data));
+      setSession(data);
+    },
+  });
+
+  const leaveCall = useCallback(() => setInCall(false), []);
+
+  if (!session) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-100 px-4">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            mutate({ token, name });
+          }}
+          className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6 space-y-4"
+        >
+          <div className="flex items-center gap-2">
+            <img src="/logo.png" alt="Slap" className="size-8" />
+            <h1 className="text-2xl font-semibold">You're invited</h1>
+          </div>
+          <p className="text-sm text-gray-600">
+            Enter your name to join the interview as a guest. This link works once.
+          </p>
+
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-red-600">
+              <AlertCircleIcon className="size-4" />
+              {error.response?.data?.message || "Could not open this invite"}
+            </div>
+          )}
+
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Your full name"
+            maxLength={50}
+            className="w-full border border-gray-300 rounded-md px-3 py-2"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={isPending || !name.trim()}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isPending ? "Joining..." : "Continue"}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (inCall) return <GuestCall session={session} onLeave={leaveCall} />;
+
+  return (
+    <div className="h-screen flex flex-col bg-gray-100">
+      <div className="h-14 border-b border-gray-200 flex items-center px-4 justify-between bg-white">
+        <span className="font-medium text-[#1D1C1D]">Signed in as {session.user.name}</span>
+        <button className="btn btn-primary btn-small" onClick={() => setInCall(true)}>
+          <VideoIcon className="size-4" />
+          Join the call
+        </button>
+      </div>
+      <GuestChat session={session} />
+    </div>
+  );
+};
+
+export default GuestPage;
@@ -1,7 +1,8 @@
 import { UserButton } from "@clerk/clerk-react";
 import { useEffect, useState } from "react";
-import { useSearchParams } from "react-router";
+import { Link, useSearchParams } from "react-router";
 import { useStreamChat } from "../hooks/useStreamChat";
+import { useRole } from "../hooks/useRole";
 import PageLoader from "../components/PageLoader";
 
 import {
@@ -15,18 +16,24 @@ import {
 } from "stream-chat-react";
 
 import "../styles/stream-chat-theme.css";
-import { HashIcon, PlusIcon, UsersIcon } from "lucide-react";
+import { HashIcon, PlusIcon, ScrollTextIcon, UserRoundIcon, UsersIcon } from "lucide-react";
 import CreateChannelModal from "../components/CreateChannelModal";
 import CustomChannelPreview from "../components/CustomChannelPreview";
 import UsersList from "../components/UsersList";
 import CustomChannelHeader from "../components/CustomChannelHeader";
+import MessageSearch from "../components/MessageSearch";
+import JumpToMessage from "../components/JumpToMessage";
+import ProfilePanel from "../components/ProfilePanel";
+import { isServiceUser } from "../lib/users";
 
 const HomePage = () => {
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [activeChannel, setActiveChannel] = useState(null);
+  const [profileUserId, setProfileUserId] = useState(null);
   const [searchParams, setSearchParams] = useSearchParams();
 
   const { chatClient, error, isLoading } = useStreamChat();
+  const { isStaff, isAdmin } = useRole();
 
   // set active channel from URL params
   useEffect(() => {
@@ -56,18 +63,38 @@ const HomePage = () => {
                   <img src="/logo.png" alt="Logo" className="brand-logo" />
                   <span className="brand-name">Slap</span>
                 </div>
-                <div className="user-button-wrapper">
-                  <UserButton />
+                <div className="flex items-center gap-3">
+                  {isAdmin && (
+                    <Link to="/admin/audit" title="Audit log" className="text-white/70 hover:text-white">
+                      <ScrollTextIcon className="size-5" />
+                    </Link>
+                  )}
+                  <div className="user-button-wrapper">
+                    <UserButton>
+                      <UserButton.MenuItems>
+                        <UserButton.Action
+                          label="Profile and status"
+                          labelIcon={<UserRoundIcon className="size-4" />}
+                          onClick={() => setProfileUserId(chatClient.user.id)}
+                        />
+                      </UserButton.MenuItems>
+                    </UserButton>
+                  </div>
                 </div>
               </div>
+              <div className="px-4 pb-3">
+                <MessageSearch />
+              </div>
               {/* CHANNELS LIST */}
               <div className="team-channel-list__content">
-                <div className="create-channel-section">
-                  <button onClick={() => setIsCreateModalOpen(true)} className="create-channel-btn">
-                    <PlusIcon className="size-4" />
-                    <span>Create Channel</span>
-                  </button>
-                </div>
+                {isStaff && (
+                  <div className="create-channel-section">
+                    <button onClick={() => setIsCreateModalOpen(true)} className="create-channel-btn">
+                      <PlusIcon className="size-4" />
+                      <span>Create Channel</span>
+                    </button>
+                  </div>
+                )}
 
                 {/* CHANNEL LIST */}
                 <ChannelList
@@ -112,9 +139,14 @@ const HomePage = () => {
           {/* RIGHT CONTAINER */}
           <div className="chat-main">
             <Channel channel={activeChannel}>
+              <JumpToMessage />
               <Window>
                 <CustomChannelHeader />
-                <MessageList />
+                <MessageList
+                  onUserClick={(_event, user) => {
+                    if (!isServiceUser(user)) setProfileUserId(user.id);
+                  }}
+                />
                 <MessageInput />
               </Window>
 
@@ -124,6 +156,9 @@ const HomePage = () => {
         </div>
 
         {isCreateModalOpen && <CreateChannelModal onClose={() => setIsCreateModalOpen(false)} />}
+        {profileUserId && (
+          <ProfilePanel userId={profileUserId} onClose={() => setProfileUserId(null)} />
+        )}
       </Chat>
     </div>
   );